@@ -1,687 +1,6402 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const { Client, LocalAuth } = require('whatsapp-web.js');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const util = require('util');
+const zlib = require('zlib');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Client, LocalAuth, MessageMedia, Location, Poll } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
 const axios = require('axios');
+const multer = require('multer');
+const { Pool } = require('pg');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 const AUTH_PATH = process.env.WWEBJS_AUTH_PATH || '/storage/.wwebjs_auth';
 const STATE_PATH = process.env.WWEBJS_STATE_PATH || '/storage/.wwebjs_state.json';
+const MEDIA_MAX_BYTES = parseInt(process.env.MEDIA_MAX_BYTES, 10) || 16 * 1024 * 1024;
 
-app.use(express.json());
+// Most JSON bodies are small. /api/send-media must fit base64 media (4/3 of
+// the raw size) plus the other fields, and campaigns and bulk checks take
+// long recipient lists - those routes get their own limit. A body parsed by
+// one of these is skipped by the parsers after it.
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '1mb';
+const LIST_BODY_LIMIT = process.env.LIST_BODY_LIMIT || '10mb';
+app.use('/api/send-media', express.json({ limit: Math.ceil(MEDIA_MAX_BYTES * 4 / 3) + 1024 * 1024 }));
+app.use(['/api/campaigns', '/api/check-user/bulk'], express.json({ limit: LIST_BODY_LIMIT }));
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
 app.use(express.static('public'));
 
-// Webhook configuration - try to load from state file first, fallback to env var
-let webhookUrl = null;
-let webhookEnabled = false;
+// Logging
+// One JSON object per line (LOG_FORMAT=pretty for a human-readable line).
+// Phone numbers and message text are redacted unless LOG_DEBUG=true. The
+// request id (HTTP requests) or correlation id (WhatsApp events) and the
+// session id are added from the async context, so they don't have to be
+// passed to every call.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_DEBUG = isTruthy(process.env.LOG_DEBUG);
+const LOG_LEVEL = LOG_DEBUG ? 'debug' : (LOG_LEVELS[String(process.env.LOG_LEVEL).toLowerCase()] ? String(process.env.LOG_LEVEL).toLowerCase() : 'info');
+const LOG_FORMAT = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+// Fields holding message text or payloads - logged as their length only
+const LOG_TEXT_FIELDS = ['body', 'message', 'text', 'caption', 'payload', 'qr', 'response'];
+const PHONE_PATTERN = /\+?\d{10,15}(?:-\d+)?(?:@[cg]\.us)?/g;
+// Credentials logged on purpose (the generated bootstrap key) - random
+// strings that can contain digit runs, so phone masking would corrupt them
+const LOG_CREDENTIAL_FIELDS = ['key', 'secret'];
+const logContext = new AsyncLocalStorage();
 
-// Load persisted webhook config from disk
-function loadWebhookConfig() {
-  try {
-    const state = readStateFile();
-    if (state && state.webhookUrl) {
-      webhookUrl = state.webhookUrl;
-      webhookEnabled = state.webhookEnabled || false;
-      console.log(`🔔 Webhook loaded from saved state:`);
-      console.log(`   URL: ${webhookUrl}`);
-      console.log(`   Status: ${webhookEnabled ? 'ENABLED' : 'DISABLED'}`);
-      return true;
-    }
-  } catch (err) {
-    console.log('🔕 No saved webhook config found');
-  }
-  return false;
+// "60123456789@c.us" -> "*******6789@c.us"
+function maskPhone(value) {
+  return String(value).replace(PHONE_PATTERN, match => {
+    const [number, suffix] = match.split('@');
+    return '*'.repeat(Math.max(number.length - 4, 0)) + number.slice(-4) + (suffix ? `@${suffix}` : '');
+  });
 }
 
-// Save webhook config to disk
-function saveWebhookConfig() {
-  try {
-    const currentState = readStateFile() || {};
-    currentState.webhookUrl = webhookUrl;
-    currentState.webhookEnabled = webhookEnabled;
-    currentState.updatedAt = new Date().toISOString();
-    
-    const dir = path.dirname(STATE_PATH);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    fs.writeFileSync(STATE_PATH, JSON.stringify(currentState, null, 2));
-    console.log(`💾 Webhook config saved to disk`);
-  } catch (err) {
-    console.error('❌ Failed to save webhook config:', err.message);
+function redactLogField(key, value) {
+  if (value === null || value === undefined) return value;
+  if (LOG_CREDENTIAL_FIELDS.includes(key)) return value;
+  if (LOG_TEXT_FIELDS.includes(key)) {
+    const length = typeof value === 'string' ? value.length : JSON.stringify(value).length;
+    return `[redacted ${length} chars]`;
   }
+  // Phone numbers can turn up in any string: ids, error messages...
+  if (typeof value === 'string') return maskPhone(value);
+  if (Array.isArray(value)) return value.map(item => typeof item === 'string' ? maskPhone(item) : item);
+  return value;
 }
 
-// Initialize webhook config
-if (!loadWebhookConfig()) {
-  // Fallback to environment variable
-  webhookUrl = process.env.WEBHOOK_URL || null;
-  webhookEnabled = !!process.env.WEBHOOK_URL;
-  
-  if (webhookEnabled) {
-    console.log(`🔔 Webhook auto-configured from environment:`);
-    console.log(`   URL: ${webhookUrl}`);
-    console.log(`   Status: ENABLED`);
-    saveWebhookConfig();
+function writeLog(level, msg, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+
+  const entry = { time: new Date().toISOString(), level, msg: LOG_DEBUG ? msg : maskPhone(msg), ...logContext.getStore() };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    entry[key] = LOG_DEBUG ? value : redactLogField(key, value);
+  }
+
+  const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+  if (LOG_FORMAT === 'pretty') {
+    const { time, level: _level, msg: text, ...rest } = entry;
+    const extra = Object.entries(rest).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    stream.write(`${time} ${level.toUpperCase().padEnd(5)} ${text}${extra.length ? ` ${extra.join(' ')}` : ''}\n`);
   } else {
-    console.log(`🔕 Webhook not configured (set WEBHOOK_URL env var or use /api/webhook)`);
+    stream.write(JSON.stringify(entry) + '\n');
   }
 }
 
-// Root route
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+const log = {
+  debug: (msg, fields) => writeLog('debug', msg, fields),
+  info: (msg, fields) => writeLog('info', msg, fields),
+  warn: (msg, fields) => writeLog('warn', msg, fields),
+  error: (msg, fields) => writeLog('error', msg, fields)
+};
 
-// API Documentation route
-app.get('/api/docs', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'docs.html'));
-});
+if (LOG_DEBUG) {
+  log.warn('🐛 LOG_DEBUG is on - phone numbers and message text are logged unredacted');
+}
 
-// DEAD SIMPLE - Single WhatsApp client
-let client = null;
-let qrString = null;
-let isReady = false;
-let lastQrAt = null;
-let lastReadyAt = null;
-let lastAuthAt = null;
-let lastDisconnectAt = null;
-let lastClientState = null;
-let reinitInProgress = false;
-let lastReinitReason = null;
-let lastReinitAt = null;
-let reinitAttempts = 0;
+// Run fn with extra log context (correlationId, sessionId...)
+function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
 
-function setNoCache(res) {
-  res.set({
-    'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
-    'Pragma': 'no-cache',
-    'Expires': '0',
-    'Surrogate-Control': 'no-store'
-  });
+// The request id, or the correlation id of the event being handled
+function currentCorrelationId() {
+  const store = logContext.getStore();
+  return (store && (store.requestId || store.correlationId)) || null;
 }
 
-function getMemoryState() {
-  return {
-    ready: isReady,
-    hasQR: !!qrString,
-    qr: qrString || null,
-    lastQrAt,
-    lastReadyAt,
-    lastAuthAt,
-    lastDisconnectAt,
-    lastClientState,
-    lastReinitReason,
-    lastReinitAt,
-    reinitAttempts
-  };
-}
-
-function getEffectiveState() {
-  const mem = getMemoryState();
-  if (mem.ready || mem.hasQR) return mem;
+// Start a background processor on the next tick, outside the log context of
+// the request or event that woke it up
+function runInBackground(fn) {
+  setImmediate(() => logContext.exit(fn));
+}
 
-  const disk = readStateFile();
-  if (!disk) return mem;
+// Every request gets an id: the caller's X-Request-Id if it looks sane,
+// otherwise a new one. It is echoed in the X-Request-Id response header.
+app.use((req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
 
-  return {
-    ...mem,
-    ...disk,
-    ready: !!disk.ready,
-    hasQR: !!disk.hasQR,
-    qr: disk.qr || null
-  };
-}
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    log.debug('HTTP request', { requestId, method: req.method, path: req.path, status: res.statusCode, durationMs: Date.now() - startedAt });
+  });
+  logContext.run({ requestId }, next);
+});
 
-function writeStateFile() {
+// Write a file so readers only ever see the old or the new content: write a
+// temp file next to it, flush it, then rename it over the original
+function writeFileAtomic(filePath, data, { mode = 0o644 } = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w', mode);
   try {
-    const payload = {
-      ...getMemoryState(),
-      updatedAt: new Date().toISOString()
-    };
-    const dir = path.dirname(STATE_PATH);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    fs.writeFileSync(STATE_PATH, JSON.stringify(payload));
-  } catch (err) {
-    console.error('⚠️ Failed to write state file:', err && err.message ? err.message : err);
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
   }
+  fs.renameSync(tmpPath, filePath);
 }
 
-function readStateFile() {
+// Same as writeFileAtomic without blocking the event loop - for files saved
+// from busy background processors. Callers serialize writes to one path.
+async function writeFileAtomicAsync(filePath, data, { mode = 0o644 } = {}) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const handle = await fs.promises.open(tmpPath, 'w', mode);
   try {
-    if (!fs.existsSync(STATE_PATH)) return null;
-    const raw = fs.readFileSync(STATE_PATH, 'utf8');
-    return JSON.parse(raw);
-  } catch (err) {
-    console.error('⚠️ Failed to read state file:', err && err.message ? err.message : err);
-    return null;
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
   }
+  await fs.promises.rename(tmpPath, filePath);
 }
 
-// Initialize WhatsApp client
-function initWhatsApp() {
-  console.log('🚀 Initializing WhatsApp client...');
-  
-  // Use unique Chrome profile to prevent lock issues
-  const uniqueProfile = `chrome-profile-${Date.now()}`;
-  const chromeProfilePath = path.join('/tmp', uniqueProfile);
-  
-  // Railway Chrome executable detection
-  let executablePath;
-  
-  // Check for Railway/nixpacks Chrome paths
-  const possiblePaths = [
-    process.env.PUPPETEER_EXECUTABLE_PATH,
-    '/usr/bin/chromium-browser',
-    '/usr/bin/chromium',
-    '/usr/bin/google-chrome',
-    '/usr/bin/google-chrome-stable'
-  ];
-  
-  for (const path of possiblePaths) {
-    if (path && fs.existsSync(path)) {
-      executablePath = path;
-      console.log(`✅ Found Chrome at: ${executablePath}`);
-      break;
+// Config store
+// User configuration (webhooks, API keys, auto-reply rules and chat tags,
+// opt-outs, the session list) lives here, apart from the runtime status in
+// STATE_PATH. Reads are served from memory. The file backend rewrites
+// CONFIG_PATH atomically on every change; CONFIG_STORE=postgres keeps one row
+// per key in the wa_config table of DATABASE_URL instead.
+const CONFIG_PATH = process.env.CONFIG_PATH || path.join(path.dirname(STATE_PATH), '.wwebjs_config.json');
+const CONFIG_STORE = process.env.CONFIG_STORE === 'postgres' ? 'postgres' : 'file';
+let configData = {};
+let configSchemaVersion = 0;
+let configPool = null;
+// Postgres writes are chained so they land in the order they were made
+let configWriteChain = Promise.resolve();
+
+// Applied in order to the stored config, then the new schemaVersion is saved.
+// Never edit a migration once released - add a new one instead.
+const CONFIG_MIGRATIONS = [
+  { version: 1, name: 'import_legacy_files', up: importLegacyConfig }
+];
+
+function readJsonFile(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Before the config store, each setting had its own file and webhooks were
+// kept in the state file. The old files are left in place.
+function importLegacyConfig(data) {
+  const readLegacy = (filePath) => {
+    try {
+      return readJsonFile(filePath);
+    } catch (err) {
+      log.warn('⚠️ Skipping unreadable legacy file', { path: filePath, error: err.message });
+      return null;
     }
-  }
-  
-  const puppeteerConfig = {
-    headless: true,
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-gpu',
-      '--disable-web-security',
-      '--disable-features=VizDisplayCompositor',
-      `--user-data-dir=${chromeProfilePath}`
-    ]
   };
-  
-  // Only set executablePath if we found one
-  if (executablePath) {
-    puppeteerConfig.executablePath = executablePath;
+
+  const state = readLegacy(STATE_PATH) || {};
+  if (Array.isArray(state.webhooks)) {
+    data.webhooks = state.webhooks;
+  } else if (state.webhookUrl) {
+    // State files from before subscriptions hold a single webhook
+    data.webhooks = [createWebhookRecord({
+      id: LEGACY_WEBHOOK_ID,
+      url: state.webhookUrl,
+      enabled: state.webhookEnabled || false,
+      secret: state.webhookSecret,
+      previousSecret: state.webhookPreviousSecret,
+      previousSecretExpiresAt: state.webhookPreviousSecretExpiresAt
+    })];
+  }
+  if (state.sessions) {
+    data.sessions = Object.entries(state.sessions)
+      .filter(([id]) => SESSION_ID_PATTERN.test(id))
+      .map(([id, session]) => ({ id, createdAt: session.createdAt || null }));
   }
 
-  // Use Railway persistent volume for session storage (default: /storage).
-  // Fail fast if storage is missing or not writable.
-  const sessionPath = AUTH_PATH;
-  try {
-    if (!fs.existsSync(sessionPath)) {
-      fs.mkdirSync(sessionPath, { recursive: true });
-    }
-    const testFile = path.join(sessionPath, '.rw_test');
-    fs.writeFileSync(testFile, 'ok');
-    fs.unlinkSync(testFile);
-  } catch (err) {
-    console.error('❌ Persistent storage not available or not writable:', sessionPath);
-    console.error(err && err.message ? err.message : err);
-    process.exit(1);
+  const keys = readLegacy(API_KEYS_PATH);
+  if (keys && Array.isArray(keys.keys)) data.apiKeys = keys.keys;
+
+  const savedRules = readLegacy(RULES_PATH);
+  if (savedRules) {
+    data.rules = Array.isArray(savedRules.rules) ? savedRules.rules : [];
+    data.chatTags = savedRules.chatTags || {};
   }
 
-  client = new Client({
-    authStrategy: new LocalAuth({
-      dataPath: sessionPath,
-      clientId: 'whatsapp-api-session'
-    }),
-    puppeteer: puppeteerConfig
-  });
+  const savedOptOuts = readLegacy(OPT_OUTS_PATH);
+  if (savedOptOuts) data.optOuts = savedOptOuts.optOuts || {};
+}
 
-  client.on('qr', (qr) => {
-    console.log('📱 QR Code received');
-    qrString = qr;
-    lastQrAt = new Date().toISOString();
-    writeStateFile();
-  });
+function getConfig(key, fallback) {
+  return configData[key] !== undefined ? configData[key] : fallback;
+}
 
-  client.on('ready', () => {
-    console.log('✅ WhatsApp client is ready!');
-    isReady = true;
-    qrString = null;
-    lastReadyAt = new Date().toISOString();
-    reinitAttempts = 0;
-    writeStateFile();
-  });
+// setConfig({ rules, chatTags }) - the keys are saved together
+function setConfig(values) {
+  Object.assign(configData, values);
+  persistConfig(Object.keys(values));
+}
 
-  client.on('authenticated', () => {
-    console.log('🔐 WhatsApp authenticated');
-    lastAuthAt = new Date().toISOString();
-    writeStateFile();
-  });
+function persistConfig(keys) {
+  if (CONFIG_STORE === 'file') {
+    try {
+      const document = { schemaVersion: configSchemaVersion, updatedAt: new Date().toISOString(), data: configData };
+      // Holds webhook secrets and API key hashes
+      writeFileAtomic(CONFIG_PATH, JSON.stringify(document, null, 2), { mode: 0o600 });
+    } catch (err) {
+      log.error('❌ Failed to save config', { keys, error: err.message });
+    }
+    return;
+  }
 
-  client.on('disconnected', (reason) => {
-    console.log('❌ WhatsApp disconnected:', reason);
-    isReady = false;
-    lastDisconnectAt = new Date().toISOString();
-    writeStateFile();
-    scheduleReinit(`disconnected:${reason}`);
+  // Serialize now - the value may change again before the write runs
+  const rows = keys.map(key => [key, JSON.stringify(key === 'schemaVersion' ? configSchemaVersion : configData[key])]);
+  configWriteChain = configWriteChain
+    .then(() => Promise.all(rows.map(row => configPool.query(`
+      INSERT INTO wa_config (key, value) VALUES ($1, $2)
+      ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()
+    `, row))))
+    .catch((err) => {
+      log.error('❌ Failed to save config', { keys, error: err.message });
+    });
+}
+
+async function loadConfigFromPostgres() {
+  configPool = new Pool({
+    connectionString: DATABASE_URL,
+    max: 2,
+    ssl: isTruthy(process.env.DATABASE_SSL) ? { rejectUnauthorized: false } : undefined
   });
+  configPool.on('error', (err) => {
+    log.error('❌ Postgres pool error', { error: err.message });
+  });
+  await configPool.query(`
+    CREATE TABLE IF NOT EXISTS wa_config (
+      key TEXT PRIMARY KEY,
+      value JSONB NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
 
-  // Track last message activity for health check
-  let lastMessageActivity = Date.now();
-  
-  // WEBHOOK TRIGGER - Use message_create (works for both incoming and outgoing)
-  client.on('message_create', async (msg) => {
-    console.log('📝 MESSAGE_CREATE:', msg.from, msg.body?.substring(0, 30), '| fromMe:', msg.fromMe);
-    console.log('   DEBUG: webhookEnabled=', webhookEnabled, 'webhookUrl=', webhookUrl ? 'SET' : 'NULL', 'fromMe=', msg.fromMe);
-    lastMessageActivity = Date.now();
-    
-    // Only trigger webhook for INCOMING messages (not from me)
-    const shouldTrigger = !msg.fromMe && webhookEnabled && webhookUrl;
-    console.log('   DEBUG: shouldTrigger=', shouldTrigger);
-    
-    if (shouldTrigger) {
-      const webhookStartTime = Date.now();
-      const logId = Math.random().toString(36).substring(2, 10).toUpperCase();
-      
-      console.log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-      console.log(`🔔 WEBHOOK FIRE (via message_create) [${logId}]`);
-      console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-      
-      try {
-        const webhookPayload = {
-          id: msg.id?._serialized || 'unknown',
-          from: msg.from,
-          fromName: msg._data?.notifyName || msg.from,
-          body: msg.body,
-          timestamp: msg.timestamp,
-          hasMedia: msg.hasMedia,
-          type: msg.type,
-          isGroup: msg.from?.includes('@g.us') || false,
-          chatName: msg._data?.chatName || msg.from,
-          _source: 'message_create'
-        };
-
-        console.log(`📦 Payload:`, JSON.stringify(webhookPayload, null, 2));
-        
-        const response = await axios.post(webhookUrl, webhookPayload, {
-          headers: { 'Content-Type': 'application/json' },
-          timeout: 10000
-        });
-        
-        console.log(`✅ WEBHOOK SUCCESS [${logId}] - ${response.status} - ${Date.now() - webhookStartTime}ms`);
-        console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
-        
-      } catch (error) {
-        console.error(`❌ WEBHOOK FAILED [${logId}]: ${error.message}`);
-        console.error(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
-      }
+  const { rows } = await configPool.query('SELECT key, value FROM wa_config');
+  if (!rows.length) {
+    // Switching from the file backend - start from the config file
+    const document = readJsonFile(CONFIG_PATH);
+    if (document) {
+      log.info('⚙️  Importing config file into Postgres', { path: CONFIG_PATH });
+      return { schemaVersion: document.schemaVersion || 0, data: document.data || {}, imported: true };
     }
-  });
+    return { schemaVersion: 0, data: {} };
+  }
 
-  client.on('message_ack', (msg, ack) => {
-    console.log('✓ MESSAGE_ACK:', ack, msg.from);
-    lastMessageActivity = Date.now();
+  const data = {};
+  let schemaVersion = 0;
+  rows.forEach((row) => {
+    if (row.key === 'schemaVersion') schemaVersion = row.value;
+    else data[row.key] = row.value;
   });
-  
-  // Health check: Log if no message activity for 5 minutes
-  setInterval(() => {
-    const inactiveTime = Date.now() - lastMessageActivity;
-    if (inactiveTime > 5 * 60 * 1000) {
-      console.log(`⚠️  No message activity for ${Math.floor(inactiveTime/1000)}s`);
+  return { schemaVersion, data };
+}
+
+async function initConfigStore() {
+  let loaded;
+  if (CONFIG_STORE === 'postgres') {
+    if (!DATABASE_URL) throw new Error('CONFIG_STORE=postgres needs DATABASE_URL');
+    loaded = await loadConfigFromPostgres();
+  } else {
+    const document = readJsonFile(CONFIG_PATH);
+    loaded = { schemaVersion: document ? document.schemaVersion || 0 : 0, data: (document && document.data) || {} };
+  }
+  configData = loaded.data;
+  configSchemaVersion = loaded.schemaVersion;
+
+  for (const migration of CONFIG_MIGRATIONS) {
+    if (migration.version <= configSchemaVersion) continue;
+    migration.up(configData);
+    configSchemaVersion = migration.version;
+    log.info(`⚙️  Applied config migration ${migration.version} (${migration.name})`);
+  }
+
+  if (loaded.imported || loaded.schemaVersion !== configSchemaVersion) {
+    persistConfig([...Object.keys(configData), 'schemaVersion']);
+    await configWriteChain;
+  }
+  log.info(`⚙️  Config loaded (${CONFIG_STORE === 'postgres' ? 'Postgres' : CONFIG_PATH}, schema v${configSchemaVersion})`);
+}
+
+// Webhook subscriptions - loaded from the config store, fallback to env var.
+// The original single webhook (/api/webhook) is the subscription with id "default".
+const WEBHOOK_EVENT_TYPES = ['message.in', 'message.out', 'ack', 'state', 'qr', 'disconnected', 'rule.matched'];
+const LEGACY_WEBHOOK_ID = 'default';
+let webhooks = [];
+
+// Webhook signing - the previous secret stays valid until its grace window ends
+const WEBHOOK_SECRET_GRACE_SECONDS = parseInt(process.env.WEBHOOK_SECRET_GRACE_SECONDS, 10) || 24 * 60 * 60;
+
+function createWebhookRecord(fields) {
+  const now = new Date().toISOString();
+  return {
+    id: fields.id || crypto.randomBytes(6).toString('hex'),
+    name: fields.name || null,
+    url: fields.url,
+    enabled: fields.enabled !== false,
+    eventTypes: fields.eventTypes || ['message.in'],
+    filters: fields.filters || {},
+    secret: fields.secret || null,
+    previousSecret: fields.previousSecret || null,
+    previousSecretExpiresAt: fields.previousSecretExpiresAt || null,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+function getLegacyWebhook() {
+  return webhooks.find(w => w.id === LEGACY_WEBHOOK_ID) || null;
+}
+
+function maskWebhookUrl(url) {
+  return url ? url.replace(/(?<=:\/\/).*(?=@)/, '***') : null;
+}
+
+function publicWebhook(webhook) {
+  const { secret, previousSecret, ...rest } = webhook;
+  return {
+    ...rest,
+    url: maskWebhookUrl(webhook.url),
+    signing: {
+      enabled: !!secret,
+      previousSecretExpiresAt: previousSecret ? webhook.previousSecretExpiresAt : null
     }
-  }, 60000);
+  };
+}
 
-  client.on('change_state', (state) => {
-    console.log('🔄 CHANGE_STATE event:', state);
+// Load persisted webhook config from the config store
+function loadWebhookConfig() {
+  const saved = getConfig('webhooks');
+  if (!Array.isArray(saved)) return false;
+  webhooks = saved;
+  log.info(`🔔 ${webhooks.length} webhook subscription(s) loaded from config`);
+  webhooks.forEach((w) => {
+    log.info('🔔 Webhook subscription', { webhookId: w.id, url: maskWebhookUrl(w.url), enabled: w.enabled, eventTypes: w.eventTypes });
   });
+  return true;
+}
 
-  client.on('loading_screen', (percent, message) => {
-    console.log('⏳ LOADING_SCREEN:', percent, message);
-  });
+function saveWebhookConfig() {
+  setConfig({ webhooks });
+  log.info('💾 Webhook config saved');
+}
 
-  client.on('auth_failure', (msg) => {
-    console.log('🔒 AUTH_FAILURE:', msg);
-    isReady = false;
-    lastDisconnectAt = new Date().toISOString();
-    writeStateFile();
-    scheduleReinit('auth_failure');
-  });
+function generateWebhookSecret() {
+  return 'whsec_' + crypto.randomBytes(32).toString('hex');
+}
 
-  // Periodically check client state in case events are missed
-  setInterval(async () => {
+// Signature header value: "v1=<hex>" per valid secret, comma separated.
+// The signed content is "<timestamp>.<raw JSON body>".
+function signWebhookBody(webhook, body, timestamp) {
+  const secrets = [webhook.secret];
+  if (webhook.previousSecret && Date.parse(webhook.previousSecretExpiresAt) > Date.now()) {
+    secrets.push(webhook.previousSecret);
+  }
+  return secrets
+    .filter(Boolean)
+    .map(secret => 'v1=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex'))
+    .join(',');
+}
+
+// Serialize the payload once so the signature covers the exact bytes sent
+function buildSignedWebhookRequest(webhook, payload) {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = { 'Content-Type': 'application/json' };
+  if (webhook.secret) {
+    headers['X-Webhook-Timestamp'] = String(timestamp);
+    headers['X-Webhook-Signature'] = signWebhookBody(webhook, body, timestamp);
+  }
+  return { body, headers };
+}
+
+function rotateWebhookSecret(webhook, graceSeconds) {
+  if (webhook.secret && graceSeconds > 0) {
+    webhook.previousSecret = webhook.secret;
+    webhook.previousSecretExpiresAt = new Date(Date.now() + graceSeconds * 1000).toISOString();
+  } else {
+    webhook.previousSecret = null;
+    webhook.previousSecretExpiresAt = null;
+  }
+  webhook.secret = generateWebhookSecret();
+  webhook.updatedAt = new Date().toISOString();
+}
+
+// Filters only apply when the event carries the matching field, so chat
+// filters never block session-level events such as "qr"
+function webhookMatches(webhook, eventType, context) {
+  if (!webhook.enabled || !webhook.eventTypes.includes(eventType)) return false;
+
+  const filters = webhook.filters || {};
+  if (Array.isArray(filters.sessionIds) && filters.sessionIds.length && context.sessionId &&
+      !filters.sessionIds.includes(context.sessionId)) return false;
+  if (typeof filters.isGroup === 'boolean' && typeof context.isGroup === 'boolean' &&
+      filters.isGroup !== context.isGroup) return false;
+  if (Array.isArray(filters.chatIds) && filters.chatIds.length && context.chatId &&
+      !filters.chatIds.includes(context.chatId)) return false;
+  if (Array.isArray(filters.messageTypes) && filters.messageTypes.length && context.type &&
+      !filters.messageTypes.includes(context.type)) return false;
+  if (filters.bodyRegex && context.body !== undefined) {
     try {
-      const state = await client.getState();
-      if (state && state !== lastClientState) {
-        lastClientState = state;
-        console.log('ℹ️ WhatsApp client state:', state);
-      }
-      if (state === 'CONNECTED' && !isReady) {
-        isReady = true;
-        lastReadyAt = new Date().toISOString();
-      }
-      writeStateFile();
+      if (!new RegExp(filters.bodyRegex, 'i').test(context.body || '')) return false;
     } catch (err) {
-      if (isPuppeteerDetachedFrameError(err)) {
-        isReady = false;
-        lastDisconnectAt = new Date().toISOString();
-        writeStateFile();
-        scheduleReinit('state-check:detached_frame');
-      }
+      return false;
     }
-  }, 5000);
-
-  // Log all registered event listeners
-  console.log('📋 Registered WhatsApp events:', client.eventNames());
-  
-  console.log('🚀 Initializing WhatsApp client...');
-  client.initialize();
+  }
+  return true;
 }
 
-function isPuppeteerDetachedFrameError(err) {
-  const msg = (err && err.message ? err.message : String(err)).toLowerCase();
-  return (
-    msg.includes('detached frame') ||
-    msg.includes('execution context was destroyed') ||
-    msg.includes('target closed') ||
-    msg.includes('session closed') ||
-    msg.includes('browser has disconnected') ||
-    msg.includes('protocol error')
-  );
+function getMatchingWebhooks(eventType, context) {
+  return webhooks.filter(w => webhookMatches(w, eventType, context));
 }
 
-function scheduleReinit(reason) {
-  if (reinitInProgress) return;
-  reinitInProgress = true;
-  lastReinitReason = reason;
-  lastReinitAt = new Date().toISOString();
-  reinitAttempts += 1;
+// Validate a create/update body. Returns { error } or { fields }.
+function parseWebhookInput(body, partial) {
+  const fields = {};
+  const { url, name, enabled, eventTypes, filters, secret } = body || {};
 
-  const baseDelayMs = 2000;
-  const maxDelayMs = 30000;
-  const delayMs = Math.min(baseDelayMs * reinitAttempts, maxDelayMs);
-  console.log(`♻️  Scheduling WhatsApp reinit due to: ${reason} (delay ${delayMs}ms)`);
-
-  setTimeout(async () => {
+  if (url !== undefined || !partial) {
+    if (!url) return { error: 'Webhook URL is required' };
     try {
-      if (client) {
-        await client.destroy().catch(() => {});
+      new URL(url);
+    } catch (error) {
+      return { error: 'Invalid URL format' };
+    }
+    fields.url = url;
+  }
+
+  if (name !== undefined) fields.name = name ? String(name) : null;
+  if (enabled !== undefined) fields.enabled = !!enabled;
+
+  if (eventTypes !== undefined) {
+    if (!Array.isArray(eventTypes) || eventTypes.length === 0) {
+      return { error: `"eventTypes" must be a non-empty array of: ${WEBHOOK_EVENT_TYPES.join(', ')}` };
+    }
+    const unknown = eventTypes.filter(t => !WEBHOOK_EVENT_TYPES.includes(t));
+    if (unknown.length) return { error: `Unknown event type(s): ${unknown.join(', ')}` };
+    fields.eventTypes = [...new Set(eventTypes)];
+  }
+
+  if (filters !== undefined) {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+      return { error: '"filters" must be an object' };
+    }
+    const clean = {};
+    if (filters.isGroup !== undefined && filters.isGroup !== null) {
+      if (typeof filters.isGroup !== 'boolean') return { error: '"filters.isGroup" must be a boolean' };
+      clean.isGroup = filters.isGroup;
+    }
+    for (const key of ['chatIds', 'messageTypes', 'sessionIds']) {
+      if (filters[key] !== undefined && filters[key] !== null) {
+        if (!Array.isArray(filters[key]) || filters[key].some(v => typeof v !== 'string')) {
+          return { error: `"filters.${key}" must be an array of strings` };
+        }
+        clean[key] = filters[key];
       }
-    } finally {
-      initWhatsApp();
-      reinitInProgress = false;
     }
-  }, delayMs);
+    if (filters.bodyRegex) {
+      try {
+        new RegExp(filters.bodyRegex, 'i');
+      } catch (err) {
+        return { error: `Invalid "filters.bodyRegex": ${err.message}` };
+      }
+      clean.bodyRegex = String(filters.bodyRegex);
+    }
+    fields.filters = clean;
+  }
+
+  if (secret !== undefined) {
+    if (typeof secret !== 'string' || secret.length < 16) {
+      return { error: 'Webhook secret must be a string of at least 16 characters' };
+    }
+    fields.secret = secret;
+  }
+
+  return { fields };
 }
 
-// API Routes
-app.get('/api', (req, res) => {
-  res.json({
-    name: 'WhatsApp API',
-    version: '1.0.0',
-    description: 'Send WhatsApp messages via API',
+// Initialize webhook config (at startup, once the config store is loaded)
+function initWebhookConfig() {
+  if (loadWebhookConfig()) return;
+  // Fallback to environment variable
+  if (process.env.WEBHOOK_URL) {
+    webhooks = [createWebhookRecord({
+      id: LEGACY_WEBHOOK_ID,
+      url: process.env.WEBHOOK_URL,
+      secret: process.env.WEBHOOK_SECRET || null
+    })];
+    log.info('🔔 Webhook auto-configured from environment', { url: maskWebhookUrl(process.env.WEBHOOK_URL), enabled: true });
+    saveWebhookConfig();
+  } else {
+    log.info('🔕 Webhook not configured (set WEBHOOK_URL env var or use /api/webhooks)');
+  }
+}
+
+// API key authentication
+// Keys are stored as SHA-256 hashes in the config store. The plaintext key is
+// only returned once, when it is created.
+// Only read to import keys saved before the config store
+const API_KEYS_PATH = process.env.API_KEYS_PATH || path.join(path.dirname(STATE_PATH), '.wwebjs_api_keys.json');
+// Webhooks resend stored events to their URL, so every webhook route needs admin
+const API_KEY_SCOPES = ['send', 'read', 'admin'];
+let apiKeys = [];
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function generateApiKey() {
+  return 'wa_' + crypto.randomBytes(24).toString('hex');
+}
+
+function loadApiKeys() {
+  apiKeys = getConfig('apiKeys', []);
+  log.info(`🔑 Loaded ${apiKeys.filter(k => !k.revokedAt).length} active API key(s)`);
+}
+
+function saveApiKeys() {
+  setConfig({ apiKeys });
+}
+
+function createApiKey(name, scopes) {
+  const key = generateApiKey();
+  const record = {
+    id: crypto.randomBytes(6).toString('hex'),
+    name,
+    prefix: key.substring(0, 10),
+    hash: hashApiKey(key),
+    scopes,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null
+  };
+  apiKeys.push(record);
+  saveApiKeys();
+  return { key, record };
+}
+
+function publicApiKey(record) {
+  const { hash, ...rest } = record;
+  return rest;
+}
+
+function findApiKey(key) {
+  const hash = Buffer.from(hashApiKey(key), 'hex');
+
+  // ADMIN_API_KEY env var always works as a full admin key
+  if (process.env.ADMIN_API_KEY) {
+    const envHash = Buffer.from(hashApiKey(process.env.ADMIN_API_KEY), 'hex');
+    if (crypto.timingSafeEqual(hash, envHash)) {
+      return { id: 'env', name: 'ADMIN_API_KEY', scopes: ['admin'] };
+    }
+  }
+
+  return apiKeys.find(k => !k.revokedAt && crypto.timingSafeEqual(hash, Buffer.from(k.hash, 'hex'))) || null;
+}
+
+function hasScope(apiKey, scope) {
+  return apiKey.scopes.includes('admin') || apiKey.scopes.includes(scope);
+}
+
+// Reads the key from X-API-Key or "Authorization: Bearer <key>"
+function authenticateApiKey(req, res, next) {
+  const header = req.get('authorization') || '';
+  const key = req.get('x-api-key') || (header.startsWith('Bearer ') ? header.substring(7).trim() : null);
+  req.apiKey = key ? findApiKey(key) : null;
+
+  // Only persist lastUsedAt once a minute to avoid a disk write per request
+  if (req.apiKey && req.apiKey.id !== 'env') {
+    const last = req.apiKey.lastUsedAt ? Date.parse(req.apiKey.lastUsedAt) : 0;
+    if (Date.now() - last > 60000) {
+      req.apiKey.lastUsedAt = new Date().toISOString();
+      saveApiKeys();
+    }
+  }
+  next();
+}
+
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return res.status(401).json({ error: 'API key required. Send it in the X-API-Key header' });
+    }
+    if (!hasScope(req.apiKey, scope)) {
+      return res.status(403).json({ error: `API key is missing the "${scope}" scope` });
+    }
+    next();
+  };
+}
+
+// Initialize API keys - generate a one-time admin key on first boot so the
+// API is never left open
+function initApiKeys() {
+  loadApiKeys();
+  if (!process.env.ADMIN_API_KEY && !apiKeys.some(k => !k.revokedAt)) {
+    const { key } = createApiKey('bootstrap-admin', ['admin']);
+    log.warn('🔑 No API keys configured - generated an admin key (shown only once). Store it safely, or set ADMIN_API_KEY and revoke this one via DELETE /api/keys/:id', { key });
+  }
+}
+
+app.use('/api', authenticateApiKey);
+
+// Metrics
+// Counters and histograms live in memory (they reset on restart, which
+// Prometheus handles); gauges are read from the current state at scrape time.
+// Exposed in the Prometheus text format by GET /metrics.
+const METRICS_PUBLIC = isTruthy(process.env.METRICS_PUBLIC);
+const WEBHOOK_LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const metrics = {
+  wa_messages_sent_total: { type: 'counter', help: 'Messages sent from this number (API, campaigns, phone), by type', values: new Map() },
+  wa_messages_received_total: { type: 'counter', help: 'Messages received, by type', values: new Map() },
+  wa_send_errors_total: { type: 'counter', help: 'Failed sends by source and reason', values: new Map() },
+  wa_send_limited_total: { type: 'counter', help: 'Sends held back or refused by the send governor, by limit', values: new Map() },
+  wa_webhook_deliveries_total: { type: 'counter', help: 'Webhook delivery attempts by result', values: new Map() },
+  wa_webhook_delivery_duration_seconds: { type: 'histogram', help: 'Webhook delivery attempt latency', buckets: WEBHOOK_LATENCY_BUCKETS, values: new Map() },
+  wa_reinits_total: { type: 'counter', help: 'Client reinitializations by reason', values: new Map() }
+};
+
+function incMetric(name, labels, value = 1) {
+  const key = JSON.stringify(labels);
+  const entry = metrics[name].values.get(key) || { labels, value: 0 };
+  entry.value += value;
+  metrics[name].values.set(key, entry);
+}
+
+function observeMetric(name, labels, value) {
+  const metric = metrics[name];
+  const key = JSON.stringify(labels);
+  const entry = metric.values.get(key) || { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+  metric.buckets.forEach((bound, i) => {
+    if (value <= bound) entry.counts[i]++;
+  });
+  entry.sum += value;
+  entry.count++;
+  metric.values.set(key, entry);
+}
+
+// Group send errors into a few stable reasons so label cardinality stays low
+function sendErrorReason(error) {
+  if (typeof error === 'string') return error;
+  if (isPuppeteerDetachedFrameError(error)) return 'detached_frame';
+  if (error.status === 400) return 'invalid_request';
+  if (error.status === 404) return 'not_found';
+  if (error.status === 429) return 'rate_limited';
+  if (error.status) return `http_${error.status}`;
+  const msg = String(error.message || '').toLowerCase();
+  if (msg.includes('timeout') || msg.includes('timed out')) return 'timeout';
+  if (msg.includes('not ready')) return 'not_ready';
+  return 'other';
+}
+
+function recordSendError(session, source, error) {
+  incMetric('wa_send_errors_total', { session: session.id, source, reason: sendErrorReason(error) });
+}
+
+function formatMetricLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) =>
+    `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Point-in-time values for every session and queue
+function collectGauges() {
+  const now = Date.now();
+  const gauges = {
+    wa_client_ready: { help: '1 when the session is ready to send', samples: [] },
+    wa_client_state: { help: 'Last WhatsApp Web state reported by the client (1 = current)', samples: [] },
+    wa_seconds_since_ready: { help: 'Seconds since the session last became ready', samples: [] },
+    wa_seconds_since_last_message: { help: 'Seconds since the last message was sent or received', samples: [] },
+    wa_queue_depth: { help: 'Items waiting in each background queue', samples: [] }
+  };
+
+  for (const session of sessions.values()) {
+    const labels = { session: session.id };
+    gauges.wa_client_ready.samples.push([labels, session.isReady ? 1 : 0]);
+    gauges.wa_client_state.samples.push([{ ...labels, state: session.lastClientState || 'UNKNOWN' }, 1]);
+    if (session.lastReadyAt) {
+      gauges.wa_seconds_since_ready.samples.push([labels, Math.round((now - Date.parse(session.lastReadyAt)) / 1000)]);
+    }
+    gauges.wa_seconds_since_last_message.samples.push([labels, Math.round((now - session.lastMessageActivity) / 1000)]);
+  }
+
+  const depths = {
+    outbox: outbox.filter(job => job.status === 'queued' || job.status === 'sending').length,
+    webhook_deliveries: webhookDeliveries.filter(d => d.status === 'pending' || d.status === 'delivering').length,
+    webhook_dead_letters: webhookDeadLetters.length,
+    number_checks: checkJobs
+      .filter(job => job.status === 'queued' || job.status === 'running')
+      .reduce((sum, job) => sum + job.items.filter(item => item.status === 'pending').length, 0),
+    campaign_recipients: campaigns
+      .filter(c => c.status === 'running' || c.status === 'paused')
+      .reduce((sum, c) => sum + c.recipients.filter(r => r.status === 'pending').length, 0),
+    scheduled_messages: scheduledMessages.filter(s => s.status === 'scheduled').length
+  };
+  for (const [queue, depth] of Object.entries(depths)) {
+    gauges.wa_queue_depth.samples.push([{ queue }, depth]);
+  }
+  return gauges;
+}
+
+function renderMetrics() {
+  const lines = [];
+  for (const [name, metric] of Object.entries(metrics)) {
+    lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+    for (const entry of metric.values.values()) {
+      if (metric.type === 'counter') {
+        lines.push(`${name}${formatMetricLabels(entry.labels)} ${entry.value}`);
+        continue;
+      }
+      metric.buckets.forEach((bound, i) => {
+        lines.push(`${name}_bucket${formatMetricLabels({ ...entry.labels, le: bound })} ${entry.counts[i]}`);
+      });
+      lines.push(`${name}_bucket${formatMetricLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${name}_sum${formatMetricLabels(entry.labels)} ${entry.sum}`);
+      lines.push(`${name}_count${formatMetricLabels(entry.labels)} ${entry.count}`);
+    }
+  }
+  for (const [name, gauge] of Object.entries(collectGauges())) {
+    lines.push(`# HELP ${name} ${gauge.help}`, `# TYPE ${name} gauge`);
+    for (const [labels, value] of gauge.samples) {
+      lines.push(`${name}${formatMetricLabels(labels)} ${value}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Webhook delivery
+// Every event is persisted before it is sent, retried with exponential
+// backoff and jitter, and moved to the dead-letter list after too many
+// failed attempts. Each subscription has its own delivery lane, so a slow
+// endpoint only holds up its own events. The queue file only holds events
+// still to be delivered and is saved once per batch; delivered and
+// dead-lettered events are appended to a history journal, which is
+// compacted every hour.
+const WEBHOOK_DELIVERIES_PATH = process.env.WEBHOOK_DELIVERIES_PATH || path.join(path.dirname(STATE_PATH), '.wwebjs_webhook_deliveries.json');
+const WEBHOOK_HISTORY_PATH = process.env.WEBHOOK_HISTORY_PATH || path.join(path.dirname(STATE_PATH), '.wwebjs_webhook_history.jsonl');
+const WEBHOOK_HISTORY_COMPACT_MS = 60 * 60 * 1000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const WEBHOOK_DELIVERY_RETENTION_MS = (parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_HOURS, 10) || 72) * 60 * 60 * 1000;
+let webhookDeliveries = [];
+let webhookDeadLetters = [];
+// Webhook ids whose delivery lane is running
+const webhookDeliveryLanes = new Set();
+let webhookDeliveriesDirty = false;
+// Queue saves, history appends and compactions run one at a time
+let webhookWriteChain = Promise.resolve();
+
+function isActiveWebhookDelivery(delivery) {
+  return delivery.status === 'pending' || delivery.status === 'delivering';
+}
+
+function loadWebhookDeliveries() {
+  try {
+    if (fs.existsSync(WEBHOOK_DELIVERIES_PATH)) {
+      const raw = JSON.parse(fs.readFileSync(WEBHOOK_DELIVERIES_PATH, 'utf8'));
+      // Older versions kept delivered events and dead letters in this file too
+      webhookDeliveries = Array.isArray(raw.deliveries) ? raw.deliveries : [];
+      webhookDeadLetters = Array.isArray(raw.deadLetters) ? raw.deadLetters : [];
+    }
+
+    // One delivery record per line, the last line for an id wins
+    if (fs.existsSync(WEBHOOK_HISTORY_PATH)) {
+      const history = new Map();
+      fs.readFileSync(WEBHOOK_HISTORY_PATH, 'utf8').split('\n').forEach((line) => {
+        if (!line.trim()) return;
+        try {
+          const record = JSON.parse(line);
+          history.set(record.id, record);
+        } catch (err) {
+          // A line cut short by a crash
+        }
+      });
+      const known = new Set(webhookDeliveries.concat(webhookDeadLetters).map(d => d.id));
+      for (const record of history.values()) {
+        if (known.has(record.id)) continue;
+        if (record.status === 'delivered') webhookDeliveries.push(record);
+        if (record.status === 'dead') webhookDeadLetters.push(record);
+      }
+      webhookDeliveries.sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+      webhookDeadLetters.sort((a, b) => Date.parse(a.updatedAt) - Date.parse(b.updatedAt));
+    }
+
+    // A delivery left in "delivering" was interrupted by a crash - retry it
+    webhookDeliveries.forEach((delivery) => {
+      if (delivery.status === 'delivering') delivery.status = 'pending';
+    });
+    const pending = webhookDeliveries.filter(d => d.status === 'pending').length;
+    log.info(`📮 Webhook deliveries loaded: ${pending} pending, ${webhookDeadLetters.length} dead-lettered`);
+
+    // Start from a compact history and a queue file with active events only
+    compactWebhookHistory();
+    saveWebhookDeliveries();
+  } catch (err) {
+    log.error('❌ Failed to load webhook deliveries', { error: err.message });
+  }
+}
+
+// Mark the queue for saving by the next flushWebhookDeliveries()
+function saveWebhookDeliveries() {
+  webhookDeliveriesDirty = true;
+}
+
+function flushWebhookDeliveries() {
+  if (!webhookDeliveriesDirty) return webhookWriteChain;
+  webhookDeliveriesDirty = false;
+  webhookWriteChain = webhookWriteChain
+    .then(() => writeFileAtomicAsync(WEBHOOK_DELIVERIES_PATH, JSON.stringify({
+      deliveries: webhookDeliveries.filter(isActiveWebhookDelivery)
+    })))
+    .catch((err) => {
+      webhookDeliveriesDirty = true;
+      log.error('❌ Failed to save webhook deliveries', { error: err.message });
+    });
+  return webhookWriteChain;
+}
+
+// Record a delivered or dead-lettered event, or { id, status: 'removed' }
+// for a dead letter that left the list
+function appendWebhookHistory(record) {
+  const line = JSON.stringify(record) + '\n';
+  webhookWriteChain = webhookWriteChain
+    .then(() => fs.promises.appendFile(WEBHOOK_HISTORY_PATH, line))
+    .catch((err) => {
+      log.error('❌ Failed to append webhook history', { error: err.message });
+    });
+}
+
+function removeWebhookDeadLetters(removed) {
+  if (!removed.length) return;
+  webhookDeadLetters = webhookDeadLetters.filter(d => !removed.includes(d));
+  removed.forEach(d => appendWebhookHistory({ id: d.id, status: 'removed' }));
+}
+
+// Rewrite the journal with what is still kept: delivered events within the
+// retention window and the dead letters
+function compactWebhookHistory() {
+  webhookWriteChain = webhookWriteChain
+    .then(() => {
+      const kept = webhookDeliveries.filter(d => d.status === 'delivered').concat(webhookDeadLetters);
+      return writeFileAtomicAsync(WEBHOOK_HISTORY_PATH, kept.map(d => JSON.stringify(d) + '\n').join(''));
+    })
+    .catch((err) => {
+      log.error('❌ Failed to compact webhook history', { error: err.message });
+    });
+}
+
+function enqueueWebhookDelivery(webhook, payload) {
+  const now = new Date().toISOString();
+  const delivery = {
+    id: crypto.randomUUID(),
+    webhookId: webhook.id,
+    event: payload.event || null,
+    // Links the delivery to the API request or WhatsApp event that caused it
+    correlationId: currentCorrelationId(),
+    url: webhook.url,
+    payload,
+    status: 'pending',
+    attemptCount: 0,
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+    attempts: [],
+    nextAttemptAt: now,
+    createdAt: now,
+    updatedAt: now,
+    deliveredAt: null
+  };
+  webhookDeliveries.push(delivery);
+  saveWebhookDeliveries();
+  runInBackground(processWebhookDeliveries);
+  return delivery;
+}
+
+// Queue an event for every subscription whose event types and filters match.
+// "context" holds the fields filters are checked against (chatId, isGroup...).
+function emitWebhookEvent(eventType, payload, context = {}) {
+  return getMatchingWebhooks(eventType, context).map(webhook => enqueueWebhookDelivery(webhook, {
+    event: eventType,
+    ...payload
+  }));
+}
+
+function summarizeWebhookDelivery(delivery) {
+  const { payload, attempts, ...rest } = delivery;
+  const last = attempts[attempts.length - 1] || null;
+  return {
+    ...rest,
+    url: delivery.url.replace(/(?<=:\/\/).*(?=@)/, '***'),
+    eventId: payload && payload.id,
+    lastAttempt: last
+  };
+}
+
+// Exponential backoff with full jitter: 50-100% of 5s, 10s, 20s ... capped at 10 minutes
+function getWebhookRetryDelay(attemptCount) {
+  const baseMs = Math.min(5000 * Math.pow(2, attemptCount - 1), 10 * 60 * 1000);
+  return Math.round(baseMs * (0.5 + Math.random() * 0.5));
+}
+
+async function deliverWebhook(webhook, delivery) {
+  const startTime = Date.now();
+  const attempt = { at: new Date().toISOString(), httpStatus: null, error: null, durationMs: null };
+
+  // Follow URL changes made to the subscription while the event was pending
+  delivery.url = webhook.url;
+  delivery.status = 'delivering';
+  delivery.attemptCount += 1;
+
+  try {
+    // Signed per attempt so the timestamp is always fresh
+    const { body, headers } = buildSignedWebhookRequest(webhook, delivery.payload);
+    const response = await axios.post(delivery.url, body, {
+      headers: {
+        ...headers,
+        'X-Webhook-Id': webhook.id,
+        'X-Webhook-Event': delivery.event || '',
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Attempt': String(delivery.attemptCount),
+        ...(delivery.correlationId ? { 'X-Correlation-Id': delivery.correlationId } : {})
+      },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      validateStatus: () => true
+    });
+    attempt.httpStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      attempt.error = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.code ? `${error.code}: ${error.message}` : error.message;
+  }
+
+  attempt.durationMs = Date.now() - startTime;
+  delivery.attempts.push(attempt);
+  const deliveryLogFields = {
+    deliveryId: delivery.id,
+    webhookId: webhook.id,
+    event: delivery.event,
+    correlationId: delivery.correlationId,
+    attempt: delivery.attemptCount
+  };
+  observeMetric('wa_webhook_delivery_duration_seconds', { webhook: webhook.id }, attempt.durationMs / 1000);
+  delivery.updatedAt = new Date().toISOString();
+
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = delivery.updatedAt;
+    incMetric('wa_webhook_deliveries_total', { webhook: webhook.id, result: 'delivered' });
+    log.info('✅ WEBHOOK SUCCESS', { ...deliveryLogFields, httpStatus: attempt.httpStatus, durationMs: attempt.durationMs });
+    appendWebhookHistory(delivery);
+  } else if (delivery.attemptCount >= delivery.maxAttempts) {
+    delivery.status = 'dead';
+    webhookDeliveries = webhookDeliveries.filter(d => d !== delivery);
+    webhookDeadLetters.push(delivery);
+    incMetric('wa_webhook_deliveries_total', { webhook: webhook.id, result: 'dead_lettered' });
+    log.error('☠️  WEBHOOK DEAD-LETTERED', { ...deliveryLogFields, error: attempt.error });
+    appendWebhookHistory(delivery);
+  } else {
+    const delayMs = getWebhookRetryDelay(delivery.attemptCount);
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+    incMetric('wa_webhook_deliveries_total', { webhook: webhook.id, result: 'failed' });
+    log.warn('❌ WEBHOOK FAILED', { ...deliveryLogFields, maxAttempts: delivery.maxAttempts, error: attempt.error, retryInMs: delayMs });
+  }
+  saveWebhookDeliveries();
+}
+
+function getDueWebhookDeliveries(webhookId) {
+  const now = Date.now();
+  return webhookDeliveries.filter(d => d.webhookId === webhookId && d.status === 'pending' && Date.parse(d.nextAttemptAt) <= now);
+}
+
+// Sends one subscription's due events one at a time, in order. Events that
+// come due meanwhile are picked up by the next batch of the same lane.
+async function runWebhookDeliveryLane(webhookId) {
+  try {
+    for (;;) {
+      // Newly queued events reach disk before their first attempt
+      await flushWebhookDeliveries();
+      const due = getDueWebhookDeliveries(webhookId);
+      if (!due.length) break;
+      for (const delivery of due) {
+        // Disabled subscriptions keep their events pending until re-enabled
+        const webhook = webhooks.find(w => w.id === webhookId);
+        if (!webhook || !webhook.enabled) return;
+        await deliverWebhook(webhook, delivery);
+      }
+    }
+  } finally {
+    webhookDeliveryLanes.delete(webhookId);
+    await flushWebhookDeliveries();
+  }
+}
+
+// Start a lane for every subscription with due events that has none running
+async function processWebhookDeliveries() {
+  const now = Date.now();
+  const dueWebhookIds = new Set(webhookDeliveries
+    .filter(d => d.status === 'pending' && Date.parse(d.nextAttemptAt) <= now)
+    .map(d => d.webhookId));
+  for (const webhookId of dueWebhookIds) {
+    const webhook = webhooks.find(w => w.id === webhookId);
+    if (!webhook || !webhook.enabled || webhookDeliveryLanes.has(webhookId)) continue;
+    webhookDeliveryLanes.add(webhookId);
+    runInBackground(() => runWebhookDeliveryLane(webhookId));
+  }
+
+  // Keep delivered events around for replay until the retention window ends
+  const cutoff = Date.now() - WEBHOOK_DELIVERY_RETENTION_MS;
+  webhookDeliveries = webhookDeliveries.filter(d => d.status !== 'delivered' || Date.parse(d.updatedAt) > cutoff);
+  await flushWebhookDeliveries();
+}
+
+loadWebhookDeliveries();
+setInterval(processWebhookDeliveries, 2000);
+// Drops expired and removed events from the journal
+setInterval(compactWebhookHistory, WEBHOOK_HISTORY_COMPACT_MS);
+
+// Prometheus scrape endpoint. Needs a key with the "read" scope (X-API-Key or
+// a bearer token) unless METRICS_PUBLIC=true.
+app.get('/metrics', METRICS_PUBLIC ? [] : [authenticateApiKey, requireScope('read')], (req, res) => {
+  setNoCache(res);
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+});
+
+// Root route
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// API Documentation route
+app.get('/api/docs', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'docs.html'));
+});
+
+// Session registry - one WhatsApp client per session id
+// The default session keeps the original LocalAuth clientId so existing
+// deployments stay logged in after upgrading.
+const DEFAULT_SESSION_ID = process.env.DEFAULT_SESSION_ID || 'default';
+const DEFAULT_CLIENT_ID = 'whatsapp-api-session';
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// WhatsApp replaces a pairing code with a new one after this long, until
+// the phone is linked
+const PAIRING_CODE_INTERVAL_MS = (parseInt(process.env.PAIRING_CODE_INTERVAL_SECONDS, 10) || 180) * 1000;
+const sessions = new Map();
+
+function createSessionRecord(id) {
+  return {
+    id,
+    clientId: id === DEFAULT_SESSION_ID ? DEFAULT_CLIENT_ID : id,
+    createdAt: new Date().toISOString(),
+    client: null,
+    qrString: null,
+    pairing: null,
+    isReady: false,
+    lastQrAt: null,
+    lastReadyAt: null,
+    lastAuthAt: null,
+    lastDisconnectAt: null,
+    lastClientState: null,
+    reinitInProgress: false,
+    reinitTimer: null,
+    lastReinitReason: null,
+    lastReinitAt: null,
+    reinitAttempts: 0,
+    lastMessageActivity: Date.now(),
+    timers: []
+  };
+}
+
+function getSession(id) {
+  return sessions.get(id || DEFAULT_SESSION_ID) || null;
+}
+
+function getDefaultSession() {
+  return getSession(DEFAULT_SESSION_ID);
+}
+
+// Resolve the session targeted by a request (body, query or route param).
+// Sends a 404 and returns null if it does not exist.
+function resolveSession(req, res) {
+  const id = (req.params && req.params.id) ||
+    (req.body && req.body.sessionId) ||
+    (req.query && req.query.sessionId) ||
+    DEFAULT_SESSION_ID;
+  const session = getSession(id);
+  if (!session) {
+    res.status(404).json({ error: `Session "${id}" not found` });
+    return null;
+  }
+  const store = logContext.getStore();
+  if (store) store.sessionId = session.id;
+  return session;
+}
+
+// LocalAuth stores each client under <dataPath>/session-<clientId>
+function getSessionAuthDir(session) {
+  return path.join(AUTH_PATH, `session-${session.clientId}`);
+}
+
+// Also cancels a pending reinit - whoever stops or starts the client now
+// takes over from it
+function clearSessionTimers(session) {
+  session.timers.forEach((timer) => clearInterval(timer));
+  session.timers = [];
+  if (session.reinitTimer) {
+    clearTimeout(session.reinitTimer);
+    session.reinitTimer = null;
+    session.reinitInProgress = false;
+  }
+}
+
+function setNoCache(res) {
+  res.set({
+    'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
+    'Pragma': 'no-cache',
+    'Expires': '0',
+    'Surrogate-Control': 'no-store'
+  });
+}
+
+function getMemoryState(session) {
+  return {
+    ready: session.isReady,
+    hasQR: !!session.qrString,
+    qr: session.qrString || null,
+    lastQrAt: session.lastQrAt,
+    lastReadyAt: session.lastReadyAt,
+    lastAuthAt: session.lastAuthAt,
+    lastDisconnectAt: session.lastDisconnectAt,
+    lastClientState: session.lastClientState,
+    lastReinitReason: session.lastReinitReason,
+    lastReinitAt: session.lastReinitAt,
+    reinitAttempts: session.reinitAttempts
+  };
+}
+
+function getEffectiveState(session) {
+  const mem = getMemoryState(session);
+  if (mem.ready || mem.hasQR) return mem;
+
+  const file = readStateFile();
+  if (!file) return mem;
+
+  // Older state files only hold the default session at the top level
+  const disk = (file.sessions && file.sessions[session.id]) ||
+    (session.id === DEFAULT_SESSION_ID ? file : null);
+  if (!disk) return mem;
+
+  return {
+    ...mem,
+    ...disk,
+    ready: !!disk.ready,
+    hasQR: !!disk.hasQR,
+    qr: disk.qr || null
+  };
+}
+
+// Runtime status only - everything configurable is in the config store
+function writeStateFile() {
+  try {
+    const sessionStates = {};
+    for (const session of sessions.values()) {
+      sessionStates[session.id] = {
+        ...getMemoryState(session),
+        createdAt: session.createdAt
+      };
+    }
+    const defaultSession = getDefaultSession();
+    const payload = {
+      ...(defaultSession ? getMemoryState(defaultSession) : {}),
+      sessions: sessionStates,
+      updatedAt: new Date().toISOString()
+    };
+    writeFileAtomic(STATE_PATH, JSON.stringify(payload));
+  } catch (err) {
+    log.warn('⚠️ Failed to write state file', { error: err && err.message ? err.message : err });
+  }
+}
+
+function readStateFile() {
+  try {
+    if (!fs.existsSync(STATE_PATH)) return null;
+    const raw = fs.readFileSync(STATE_PATH, 'utf8');
+    return JSON.parse(raw);
+  } catch (err) {
+    log.warn('⚠️ Failed to read state file', { error: err && err.message ? err.message : err });
+    return null;
+  }
+}
+
+// Initialize WhatsApp client for a session
+function initWhatsApp(session) {
+  log.info('🚀 Initializing WhatsApp client...', { sessionId: session.id });
+  
+  // Use unique Chrome profile to prevent lock issues
+  const uniqueProfile = `chrome-profile-${session.id}-${Date.now()}`;
+  const chromeProfilePath = path.join('/tmp', uniqueProfile);
+  
+  // Railway Chrome executable detection
+  let executablePath;
+  
+  // Check for Railway/nixpacks Chrome paths
+  const possiblePaths = [
+    process.env.PUPPETEER_EXECUTABLE_PATH,
+    '/usr/bin/chromium-browser',
+    '/usr/bin/chromium',
+    '/usr/bin/google-chrome',
+    '/usr/bin/google-chrome-stable'
+  ];
+  
+  for (const path of possiblePaths) {
+    if (path && fs.existsSync(path)) {
+      executablePath = path;
+      log.info(`✅ Found Chrome at: ${executablePath}`);
+      break;
+    }
+  }
+  
+  const puppeteerConfig = {
+    headless: true,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-gpu',
+      '--disable-web-security',
+      '--disable-features=VizDisplayCompositor',
+      `--user-data-dir=${chromeProfilePath}`
+    ]
+  };
+  
+  // Only set executablePath if we found one
+  if (executablePath) {
+    puppeteerConfig.executablePath = executablePath;
+  }
+
+  // Use Railway persistent volume for session storage (default: /storage).
+  // Fail fast if storage is missing or not writable.
+  const sessionPath = AUTH_PATH;
+  try {
+    if (!fs.existsSync(sessionPath)) {
+      fs.mkdirSync(sessionPath, { recursive: true });
+    }
+    const testFile = path.join(sessionPath, '.rw_test');
+    fs.writeFileSync(testFile, 'ok');
+    fs.unlinkSync(testFile);
+  } catch (err) {
+    log.error('❌ Persistent storage not available or not writable', { path: sessionPath, error: err && err.message ? err.message : err });
+    process.exit(1);
+  }
+
+  // Drop intervals left over from a previous client of this session
+  clearSessionTimers(session);
+
+  const client = new Client({
+    authStrategy: new LocalAuth({
+      dataPath: sessionPath,
+      clientId: session.clientId
+    }),
+    puppeteer: puppeteerConfig
+  });
+  session.client = client;
+
+  client.on('qr', (qr) => {
+    log.info('📱 QR Code received', { sessionId: session.id });
+    session.qrString = qr;
+    session.lastQrAt = new Date().toISOString();
+    writeStateFile();
+    emitSessionEvent(session, 'qr', { qr, qrAt: session.lastQrAt });
+  });
+
+  // Fired for the first pairing code and for each regenerated one
+  client.on('code', (code) => {
+    recordPairingCode(session, code);
+  });
+
+  client.on('ready', () => {
+    log.info('✅ WhatsApp client is ready!', { sessionId: session.id });
+    session.isReady = true;
+    session.qrString = null;
+    session.pairing = null;
+    session.lastReadyAt = new Date().toISOString();
+    session.reinitAttempts = 0;
+    writeStateFile();
+    emitSessionEvent(session, 'state', { state: 'ready' });
+    // Deliver anything queued while the client was down
+    runInBackground(processOutbox);
+  });
+
+  client.on('authenticated', () => {
+    log.info('🔐 WhatsApp authenticated', { sessionId: session.id });
+    session.lastAuthAt = new Date().toISOString();
+    session.pairing = null;
+    writeStateFile();
+    emitSessionEvent(session, 'state', { state: 'authenticated' });
+  });
+
+  client.on('disconnected', (reason) => {
+    log.warn('❌ WhatsApp disconnected', { sessionId: session.id, reason });
+    // Ignore events from a client that was already replaced or destroyed
+    if (session.client !== client) return;
+    session.isReady = false;
+    session.lastDisconnectAt = new Date().toISOString();
+    writeStateFile();
+    emitSessionEvent(session, 'disconnected', { reason, loggedOut: reason === 'LOGOUT' });
+    scheduleReinit(session, `disconnected:${reason}`);
+  });
+
+  // Track last message activity for health check
+  session.lastMessageActivity = Date.now();
+  
+  // WEBHOOK TRIGGER - Use message_create (works for both incoming and outgoing).
+  // Each message gets a correlation id that follows it into the logs and the
+  // webhook deliveries it causes.
+  client.on('message_create', (msg) => withLogContext({ sessionId: session.id, correlationId: crypto.randomUUID() }, async () => {
+    log.info('📝 MESSAGE_CREATE', { messageId: msg.id?._serialized, from: msg.from, fromMe: msg.fromMe, type: msg.type, body: msg.body });
+    session.lastMessageActivity = Date.now();
+    
+    // Incoming messages are "message.in", our own sends are "message.out"
+    const eventType = msg.fromMe ? 'message.out' : 'message.in';
+    incMetric(msg.fromMe ? 'wa_messages_sent_total' : 'wa_messages_received_total', { session: session.id, type: msg.type || 'unknown' });
+    const chatId = msg.fromMe ? msg.to : msg.from;
+    markChatKnown(session, chatId);
+    const context = {
+      sessionId: session.id,
+      chatId,
+      isGroup: chatId?.endsWith('@g.us') || false,
+      type: msg.type,
+      body: msg.body
+    };
+    const isOptOut = !msg.fromMe && !context.isGroup && handleOptOutMessage(session, msg, chatId);
+    // Opt-out keywords already got their confirmation - don't auto-reply too
+    if (!msg.fromMe && !isOptOut) {
+      runAutoReplyRules(session, msg, chatId, context.isGroup);
+    }
+
+    const targets = getMatchingWebhooks(eventType, context);
+    log.debug('Matching webhooks', { event: eventType, matchingWebhooks: targets.length });
+
+    // Download incoming media once - webhooks link to it and the message
+    // history keeps a reference to it
+    let media = null;
+    if (msg.hasMedia && !msg.fromMe && (targets.length || messageStoreReady)) {
+      try {
+        media = await saveIncomingMedia(session, msg);
+      } catch (mediaError) {
+        log.warn('⚠️ Media download failed', { error: mediaError.message });
+      }
+    }
+
+    saveMessageRecord(session, msg, { chatId, isGroup: context.isGroup, media });
+    
+    if (targets.length) {
+      const webhookPayload = {
+        id: msg.id?._serialized || 'unknown',
+        sessionId: session.id,
+        from: msg.from,
+        to: msg.to,
+        fromMe: msg.fromMe,
+        fromName: msg._data?.notifyName || msg.from,
+        body: msg.body,
+        timestamp: msg.timestamp,
+        hasMedia: msg.hasMedia,
+        media,
+        type: msg.type,
+        isGroup: context.isGroup,
+        chatId,
+        chatName: msg._data?.chatName || chatId,
+        tags: chatTags[chatId] || [],
+        _source: 'message_create'
+      };
+
+      log.debug('📦 Webhook payload', { payload: webhookPayload });
+
+      // Persist first, then deliver - failures are retried in the background
+      const deliveries = emitWebhookEvent(eventType, webhookPayload, context);
+      log.info('🔔 WEBHOOK QUEUED', { event: eventType, deliveries: deliveries.map(d => `${d.webhookId}:${d.id}`) });
+    }
+  }));
+
+  client.on('message_ack', (msg, ack) => {
+    log.debug('✓ MESSAGE_ACK', { sessionId: session.id, messageId: msg.id?._serialized, ack });
+    session.lastMessageActivity = Date.now();
+
+    updateMessageAck(session, msg.id?._serialized, ack);
+
+    // Receipts for our own messages - the chat is the recipient
+    const chatId = msg.fromMe ? msg.to : msg.from;
+    emitSessionEvent(session, 'ack', {
+      messageId: msg.id?._serialized || null,
+      chatId,
+      ack,
+      status: ACK_STATUSES[ack] || 'unknown'
+    }, {
+      chatId,
+      isGroup: chatId?.endsWith('@g.us') || false,
+      type: msg.type
+    });
+  });
+  
+  // Health check: Log if no message activity for 5 minutes
+  session.timers.push(setInterval(() => {
+    const inactiveTime = Date.now() - session.lastMessageActivity;
+    if (inactiveTime > 5 * 60 * 1000) {
+      log.warn(`⚠️  No message activity for ${Math.floor(inactiveTime/1000)}s`, { sessionId: session.id });
+    }
+  }, 60000));
+
+  client.on('change_state', (state) => {
+    log.info('🔄 CHANGE_STATE event', { sessionId: session.id, state });
+    recordClientState(session, state);
+  });
+
+  client.on('loading_screen', (percent, message) => {
+    log.info('⏳ LOADING_SCREEN', { sessionId: session.id, percent, status: message });
+  });
+
+  client.on('auth_failure', (msg) => {
+    log.error('🔒 AUTH_FAILURE', { sessionId: session.id, error: msg });
+    if (session.client !== client) return;
+    session.isReady = false;
+    session.lastDisconnectAt = new Date().toISOString();
+    writeStateFile();
+    emitSessionEvent(session, 'disconnected', { reason: 'auth_failure', message: msg, loggedOut: true });
+    scheduleReinit(session, 'auth_failure');
+  });
+
+  // Periodically check client state in case events are missed
+  session.timers.push(setInterval(async () => {
+    try {
+      const state = await client.getState();
+      if (state && state !== session.lastClientState) {
+        log.info('ℹ️ WhatsApp client state', { sessionId: session.id, state });
+        recordClientState(session, state);
+      }
+      if (state === 'CONNECTED' && !session.isReady) {
+        session.isReady = true;
+        session.lastReadyAt = new Date().toISOString();
+      }
+      writeStateFile();
+    } catch (err) {
+      if (isPuppeteerDetachedFrameError(err)) {
+        session.isReady = false;
+        session.lastDisconnectAt = new Date().toISOString();
+        writeStateFile();
+        scheduleReinit(session, 'state-check:detached_frame');
+      }
+    }
+  }, 5000));
+
+  // Log all registered event listeners
+  log.debug('📋 Registered WhatsApp events', { sessionId: session.id, events: client.eventNames() });
+  
+  log.info('🚀 Initializing WhatsApp client...', { sessionId: session.id });
+  client.initialize();
+}
+
+// message_ack values from whatsapp-web.js (MessageAck enum)
+const ACK_STATUSES = {
+  '-1': 'error',
+  0: 'pending',
+  1: 'sent',
+  2: 'delivered',
+  3: 'read',
+  4: 'played'
+};
+
+// Send a session-level event to matching webhook subscriptions
+function emitSessionEvent(session, eventType, payload, context = {}) {
+  emitWebhookEvent(eventType, {
+    sessionId: session.id,
+    timestamp: new Date().toISOString(),
+    ...payload
+  }, { sessionId: session.id, ...context });
+}
+
+// Remember the WhatsApp Web state and report changes (CONNECTED, CONFLICT,
+// UNPAIRED, ...). Fed by both the change_state event and the state poll.
+function recordClientState(session, state) {
+  if (!state || state === session.lastClientState) return;
+  const previousState = session.lastClientState;
+  session.lastClientState = state;
+  emitSessionEvent(session, 'state', { state, previousState });
+}
+
+function isPuppeteerDetachedFrameError(err) {
+  const msg = (err && err.message ? err.message : String(err)).toLowerCase();
+  return (
+    msg.includes('detached frame') ||
+    msg.includes('execution context was destroyed') ||
+    msg.includes('target closed') ||
+    msg.includes('session closed') ||
+    msg.includes('browser has disconnected') ||
+    msg.includes('protocol error')
+  );
+}
+
+function scheduleReinit(session, reason) {
+  if (session.reinitInProgress) return;
+  session.reinitInProgress = true;
+  session.lastReinitReason = reason;
+  session.lastReinitAt = new Date().toISOString();
+  session.reinitAttempts += 1;
+  incMetric('wa_reinits_total', { session: session.id, reason });
+
+  const baseDelayMs = 2000;
+  const maxDelayMs = 30000;
+  const delayMs = Math.min(baseDelayMs * session.reinitAttempts, maxDelayMs);
+  log.info(`♻️  Scheduling WhatsApp reinit due to: ${reason} (delay ${delayMs}ms)`, { sessionId: session.id });
+  emitSessionEvent(session, 'state', {
+    state: 'reinit_scheduled',
+    reason,
+    attempt: session.reinitAttempts,
+    delayMs
+  });
+
+  const timer = setTimeout(async () => {
+    try {
+      if (session.client) {
+        await session.client.destroy().catch(() => {});
+      }
+    } finally {
+      // Cancelled by clearSessionTimers while the old client was closing
+      if (session.reinitTimer === timer) {
+        session.reinitTimer = null;
+        session.reinitInProgress = false;
+        // Session may have been deleted while the reinit was pending
+        if (sessions.get(session.id) === session) {
+          initWhatsApp(session);
+        }
+      }
+    }
+  }, delayMs);
+  session.reinitTimer = timer;
+}
+
+// The session list is configuration: it decides what restoreSessions starts
+function saveSessionRegistry() {
+  setConfig({ sessions: [...sessions.values()].map(session => ({ id: session.id, createdAt: session.createdAt })) });
+}
+
+// Register a new session and start its client
+function createSession(id) {
+  const session = createSessionRecord(id);
+  sessions.set(id, session);
+  saveSessionRegistry();
+  writeStateFile();
+  initWhatsApp(session);
+  return session;
+}
+
+// Stop a session's client and optionally wipe its LocalAuth directory
+async function destroySession(session, { clearAuth = false } = {}) {
+  clearSessionTimers(session);
+  session.isReady = false;
+  session.qrString = null;
+  session.pairing = null;
+  if (session.client) {
+    await session.client.destroy().catch(() => {});
+    session.client = null;
+  }
+  if (clearAuth) {
+    const authDir = getSessionAuthDir(session);
+    if (fs.existsSync(authDir)) {
+      fs.rmSync(authDir, { recursive: true, force: true });
+      log.info('🗑️  Session folder cleared', { sessionId: session.id, path: authDir });
+    }
+  }
+}
+
+// Recreate the default session plus any sessions saved in the config store
+function restoreSessions() {
+  const saved = getConfig('sessions', []);
+  const ids = [DEFAULT_SESSION_ID];
+  saved.forEach(({ id }) => {
+    if (SESSION_ID_PATTERN.test(id) && !ids.includes(id)) ids.push(id);
+  });
+
+  // Stagger startup so several Chrome instances don't launch at once
+  ids.forEach((id, index) => {
+    const session = createSessionRecord(id);
+    const record = saved.find(s => s.id === id);
+    if (record && record.createdAt) {
+      session.createdAt = record.createdAt;
+    }
+    sessions.set(id, session);
+    setTimeout(() => initWhatsApp(session), index * 3000);
+  });
+  log.info(`🗂️  Restored ${ids.length} session(s): ${ids.join(', ')}`);
+}
+
+// Session backups
+// A backup is one session's LocalAuth directory (Chrome caches left out)
+// packed into a single file, gzipped and encrypted with AES-256-GCM under a
+// key derived from a passphrase. Admins can download and restore backups
+// through the API. Snapshots are kept in BACKUP_PATH: one is taken before
+// /api/restart wipes a session and, with BACKUP_INTERVAL_HOURS, on a timer.
+// The session's client is stopped while its files are copied.
+const BACKUP_PATH = process.env.BACKUP_PATH || path.join(path.dirname(STATE_PATH), 'backups');
+const BACKUP_PASSPHRASE = process.env.BACKUP_PASSPHRASE || null;
+const BACKUP_INTERVAL_MS = (parseFloat(process.env.BACKUP_INTERVAL_HOURS) || 0) * 60 * 60 * 1000;
+const BACKUP_RETENTION = parseInt(process.env.BACKUP_RETENTION, 10) || 7;
+const BACKUP_MAX_BYTES = parseInt(process.env.BACKUP_MAX_BYTES, 10) || 200 * 1024 * 1024;
+const BACKUP_PASSPHRASE_MIN_LENGTH = 8;
+// File layout: magic | salt (16) | iv (12) | auth tag (16) | encrypted gzip
+const BACKUP_MAGIC = Buffer.from('WABK1');
+const BACKUP_HEADER_BYTES = BACKUP_MAGIC.length + 16 + 12 + 16;
+const BACKUP_NAME_PATTERN = /^[\w.-]+\.wabk$/;
+// Chrome rebuilds these - they only make backups bigger
+const BACKUP_SKIP_DIRS = ['Cache', 'Code Cache', 'GPUCache', 'DawnCache', 'GrShaderCache', 'ShaderCache', 'CacheStorage', 'Crashpad'];
+const scryptAsync = util.promisify(crypto.scrypt);
+const gzipAsync = util.promisify(zlib.gzip);
+const gunzipAsync = util.promisify(zlib.gunzip);
+
+const backupUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: BACKUP_MAX_BYTES, files: 1 }
+});
+
+// Restore - multipart "file", or JSON { snapshot } to restore a local snapshot
+function parseBackupUpload(req, res, next) {
+  if (!req.is('multipart/form-data')) return next();
+  backupUpload.single('file')(req, res, (err) => {
+    if (err) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: `Upload error: ${err.message}` });
+    }
+    next();
+  });
+}
+
+function getBackupPassphrase(body) {
+  const passphrase = (body && body.passphrase) || BACKUP_PASSPHRASE;
+  if (!passphrase) {
+    throw httpError(400, '"passphrase" is required (or set BACKUP_PASSPHRASE)');
+  }
+  if (String(passphrase).length < BACKUP_PASSPHRASE_MIN_LENGTH) {
+    throw httpError(400, `"passphrase" must be at least ${BACKUP_PASSPHRASE_MIN_LENGTH} characters`);
+  }
+  return String(passphrase);
+}
+
+// Each record is a 4-byte length, a JSON header, then the file bytes.
+// The first record is the manifest.
+async function packSessionDir(session) {
+  const root = getSessionAuthDir(session);
+  if (!fs.existsSync(root)) {
+    throw httpError(404, `Session "${session.id}" has no saved login to back up`);
+  }
+
+  const records = [];
+  const addRecord = (header, data) => {
+    const json = Buffer.from(JSON.stringify(header));
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(json.length);
+    records.push(length, json);
+    if (data) records.push(data);
+  };
+
+  const files = [];
+  const walk = async (dir) => {
+    for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!BACKUP_SKIP_DIRS.includes(entry.name)) await walk(fullPath);
+      } else if (entry.isFile()) {
+        // Chrome lock files are symlinks and are skipped with the other non-files
+        files.push(fullPath);
+      }
+    }
+  };
+  await walk(root);
+
+  addRecord({ version: 1, sessionId: session.id, clientId: session.clientId, createdAt: new Date().toISOString(), files: files.length });
+  for (const fullPath of files) {
+    // Files can disappear while Chrome is running
+    const data = await fs.promises.readFile(fullPath).catch(() => null);
+    if (!data) continue;
+    const stat = await fs.promises.stat(fullPath).catch(() => null);
+    addRecord({ path: path.relative(root, fullPath).split(path.sep).join('/'), mode: stat ? stat.mode & 0o777 : 0o600, size: data.length }, data);
+  }
+  return Buffer.concat(records);
+}
+
+function unpackRecords(buffer) {
+  const records = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const header = JSON.parse(buffer.subarray(offset + 4, offset + 4 + length).toString());
+    offset += 4 + length;
+    const size = header.size || 0;
+    records.push({ header, data: buffer.subarray(offset, offset + size) });
+    offset += size;
+  }
+  return records;
+}
+
+async function encryptBackup(packed, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = await scryptAsync(passphrase, salt, 32);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(await gzipAsync(packed)), cipher.final()]);
+  return Buffer.concat([BACKUP_MAGIC, salt, iv, cipher.getAuthTag(), encrypted]);
+}
+
+async function decryptBackup(file, passphrase) {
+  if (file.length < BACKUP_HEADER_BYTES || !file.subarray(0, BACKUP_MAGIC.length).equals(BACKUP_MAGIC)) {
+    throw httpError(400, 'Not a session backup file');
+  }
+  let offset = BACKUP_MAGIC.length;
+  const salt = file.subarray(offset, offset += 16);
+  const iv = file.subarray(offset, offset += 12);
+  const tag = file.subarray(offset, offset += 16);
+  const key = await scryptAsync(passphrase, salt, 32);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  try {
+    return await gunzipAsync(Buffer.concat([decipher.update(file.subarray(offset)), decipher.final()]));
+  } catch (err) {
+    throw httpError(400, 'Wrong passphrase or damaged backup file');
+  }
+}
+
+// The files are read into memory in one pass before the slow compress and
+// encrypt step, so the client keeps running. Chrome's LevelDB stores replay
+// their own logs on open, which covers a write caught halfway.
+async function createSessionBackup(session, passphrase) {
+  return encryptBackup(await packSessionDir(session), passphrase);
+}
+
+// Replace the session's LocalAuth directory with the backup contents and
+// start the client again. Files are unpacked next to the live directory
+// first, so a bad archive leaves the current login alone.
+async function restoreSessionBackup(session, file, passphrase) {
+  const records = unpackRecords(await decryptBackup(file, passphrase));
+  const [manifest, ...entries] = records;
+  if (!manifest || manifest.header.version !== 1) {
+    throw httpError(400, 'Unsupported backup version');
+  }
+
+  const authDir = getSessionAuthDir(session);
+  // Resolved so the path check below also works with a relative WWEBJS_AUTH_PATH
+  const stagingDir = path.resolve(`${authDir}.restore-${Date.now()}`);
+  try {
+    for (const { header, data } of entries) {
+      const target = path.resolve(stagingDir, header.path);
+      if (!target.startsWith(stagingDir + path.sep)) {
+        throw httpError(400, `Backup contains an unsafe path: ${header.path}`);
+      }
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, data, { mode: header.mode });
+    }
+  } catch (err) {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    throw err;
+  }
+
+  await destroySession(session);
+  fs.rmSync(authDir, { recursive: true, force: true });
+  fs.renameSync(stagingDir, authDir);
+  log.info('♻️  Session restored from backup', { sessionId: session.id, fromSessionId: manifest.header.sessionId, backupCreatedAt: manifest.header.createdAt, files: entries.length });
+
+  session.reinitAttempts = 0;
+  writeStateFile();
+  initWhatsApp(session);
+  return { files: entries.length, fromSessionId: manifest.header.sessionId, backupCreatedAt: manifest.header.createdAt };
+}
+
+function getSnapshotDir(session) {
+  return path.join(BACKUP_PATH, session.id);
+}
+
+function listSnapshots(session) {
+  const dir = getSnapshotDir(session);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => BACKUP_NAME_PATTERN.test(name))
+    .map((name) => {
+      const stat = fs.statSync(path.join(dir, name));
+      return { name, reason: name.replace(/\.wabk$/, '').split('_')[1] || null, size: stat.size, createdAt: stat.mtime.toISOString() };
+    })
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+}
+
+// Encrypted with BACKUP_PASSPHRASE; returns the snapshot name, or null when
+// there is nothing to back up or no passphrase to encrypt with
+async function snapshotSession(session, reason) {
+  if (!BACKUP_PASSPHRASE) {
+    log.warn('⚠️ Session snapshot skipped - set BACKUP_PASSPHRASE to enable snapshots', { sessionId: session.id, reason });
+    return null;
+  }
+  if (!fs.existsSync(getSessionAuthDir(session))) return null;
+
+  const name = `${new Date().toISOString().replace(/[:.]/g, '-')}_${reason}.wabk`;
+  writeFileAtomic(path.join(getSnapshotDir(session), name), await createSessionBackup(session, BACKUP_PASSPHRASE), { mode: 0o600 });
+
+  // Keep the newest BACKUP_RETENTION snapshots
+  listSnapshots(session).slice(BACKUP_RETENTION).forEach((old) => {
+    fs.rmSync(path.join(getSnapshotDir(session), old.name), { force: true });
+  });
+  log.info('💾 Session snapshot saved', { sessionId: session.id, reason, name });
+  return name;
+}
+
+if (BACKUP_INTERVAL_MS) {
+  setInterval(async () => {
+    for (const session of sessions.values()) {
+      // Only logged-in sessions are worth keeping
+      if (!session.isReady) continue;
+      await snapshotSession(session, 'scheduled').catch((err) => {
+        log.error('❌ Scheduled session snapshot failed', { sessionId: session.id, error: err.message });
+      });
+    }
+  }, BACKUP_INTERVAL_MS);
+}
+
+// Send governor
+// Every outgoing message - API sends, the outbox, campaigns, schedules and
+// auto-replies - takes a slot from its session first. Caps per second,
+// minute and day, a minimum gap between messages to the same chat and
+// tighter caps for chats this number has never talked to keep the account
+// from looking like a bulk sender. A limit set to 0 is off. Send history is
+// saved so the daily caps survive restarts.
+const SEND_GOVERNOR_PATH = process.env.SEND_GOVERNOR_PATH || path.join(path.dirname(STATE_PATH), '.wwebjs_send_governor.json');
+const SEND_LIMITS = {
+  perSecond: readLimit('SEND_LIMIT_PER_SECOND', 1),
+  perMinute: readLimit('SEND_LIMIT_PER_MINUTE', 30),
+  perDay: readLimit('SEND_LIMIT_PER_DAY', 1000),
+  recipientIntervalSeconds: readLimit('SEND_RECIPIENT_INTERVAL_SECONDS', 3),
+  newChatsPerHour: readLimit('SEND_NEW_CHATS_PER_HOUR', 10),
+  newChatsPerDay: readLimit('SEND_NEW_CHATS_PER_DAY', 50)
+};
+const SEND_DELAY_MIN_MS = readLimit('SEND_DELAY_MIN_MS', 0);
+const SEND_DELAY_MAX_MS = Math.max(readLimit('SEND_DELAY_MAX_MS', 0), SEND_DELAY_MIN_MS);
+const SEND_TYPING = isTruthy(process.env.SEND_TYPING);
+const SEND_TYPING_MS_PER_CHAR = 50;
+const SEND_TYPING_MAX_MS = 6000;
+const HOUR_MS = 60 * 60 * 1000;
+// sessionId -> { sends: [ms], newChats: [ms], lastSentTo: Map(chatId -> ms), knownChats: Set(chatId) }
+const sendGovernor = new Map();
+let sendGovernorDirty = false;
+
+// Like parseInt(...) || fallback, but 0 is a valid value (limit off)
+function readLimit(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+function loadSendGovernor() {
+  try {
+    if (!fs.existsSync(SEND_GOVERNOR_PATH)) return;
+    const raw = JSON.parse(fs.readFileSync(SEND_GOVERNOR_PATH, 'utf8'));
+    for (const [sessionId, saved] of Object.entries(raw.sessions || {})) {
+      sendGovernor.set(sessionId, {
+        sends: saved.sends || [],
+        newChats: saved.newChats || [],
+        lastSentTo: new Map(),
+        knownChats: new Set(saved.knownChats || [])
+      });
+    }
+  } catch (err) {
+    log.error('❌ Failed to load send governor', { error: err.message });
+  }
+}
+
+function saveSendGovernor() {
+  try {
+    const saved = {};
+    for (const [sessionId, usage] of sendGovernor) {
+      saved[sessionId] = { sends: usage.sends, newChats: usage.newChats, knownChats: [...usage.knownChats] };
+    }
+    writeFileAtomic(SEND_GOVERNOR_PATH, JSON.stringify({ sessions: saved }));
+    sendGovernorDirty = false;
+  } catch (err) {
+    log.error('❌ Failed to save send governor', { error: err.message });
+  }
+}
+
+// Send history for a session, trimmed to the last day
+function getSendUsage(sessionId) {
+  let usage = sendGovernor.get(sessionId);
+  if (!usage) {
+    usage = { sends: [], newChats: [], lastSentTo: new Map(), knownChats: new Set() };
+    sendGovernor.set(sessionId, usage);
+  }
+  const cutoff = Date.now() - DAY_MS;
+  while (usage.sends.length && usage.sends[0] <= cutoff) usage.sends.shift();
+  while (usage.newChats.length && usage.newChats[0] <= cutoff) usage.newChats.shift();
+  return usage;
+}
+
+function countSince(times, windowMs, now) {
+  return times.filter(t => t > now - windowMs).length;
+}
+
+// How long until a send fits under "cap" sends per window (0 = now)
+function windowWaitMs(times, cap, windowMs, now) {
+  if (!cap) return 0;
+  const inWindow = times.filter(t => t > now - windowMs);
+  if (inWindow.length < cap) return 0;
+  return inWindow[inWindow.length - cap] + windowMs - now;
+}
+
+// Called from message_create: a chat with any message in it is not new.
+// Groups never count as first contact.
+function markChatKnown(session, chatId) {
+  if (!chatId || !chatId.endsWith('@c.us')) return;
+  const usage = getSendUsage(session.id);
+  if (usage.knownChats.has(chatId)) return;
+  usage.knownChats.add(chatId);
+  sendGovernorDirty = true;
+}
+
+async function isNewChat(session, usage, chatId) {
+  if (!chatId.endsWith('@c.us') || usage.knownChats.has(chatId)) return false;
+  // Chats with history from before the governor kept its list
+  try {
+    const chat = await session.client.getChatById(chatId);
+    if (chat && chat.timestamp) {
+      usage.knownChats.add(chatId);
+      sendGovernorDirty = true;
+      return false;
+    }
+  } catch (err) {
+    // No chat with this number yet
+  }
+  return true;
+}
+
+// Take a send slot for chatId. Returns null, or { limit, retryAfterMs } for
+// the cap that is furthest from freeing up.
+async function reserveSendSlot(session, chatId, source) {
+  const usage = getSendUsage(session.id);
+  const isNew = await isNewChat(session, usage, chatId);
+  const now = Date.now();
+  const lastSentAt = usage.lastSentTo.get(chatId);
+
+  const waits = [
+    ['per_second', windowWaitMs(usage.sends, SEND_LIMITS.perSecond, 1000, now)],
+    ['per_minute', windowWaitMs(usage.sends, SEND_LIMITS.perMinute, 60 * 1000, now)],
+    ['per_day', windowWaitMs(usage.sends, SEND_LIMITS.perDay, DAY_MS, now)],
+    ['recipient_interval', lastSentAt ? Math.max(lastSentAt + SEND_LIMITS.recipientIntervalSeconds * 1000 - now, 0) : 0]
+  ];
+  if (isNew) {
+    waits.push(
+      ['new_chats_per_hour', windowWaitMs(usage.newChats, SEND_LIMITS.newChatsPerHour, HOUR_MS, now)],
+      ['new_chats_per_day', windowWaitMs(usage.newChats, SEND_LIMITS.newChatsPerDay, DAY_MS, now)]
+    );
+  }
+  const [limit, retryAfterMs] = waits.reduce((max, wait) => (wait[1] > max[1] ? wait : max), [null, 0]);
+  if (limit) {
+    incMetric('wa_send_limited_total', { session: session.id, source, limit });
+    log.info('🚦 Send limit reached', { sessionId: session.id, source, chatId, limit, retryAfterMs });
+    return { limit, retryAfterMs };
+  }
+
+  usage.sends.push(now);
+  usage.lastSentTo.set(chatId, now);
+  if (isNew) {
+    usage.newChats.push(now);
+    usage.knownChats.add(chatId);
+  }
+  sendGovernorDirty = true;
+  return null;
+}
+
+function sendLimitError(limited) {
+  const err = httpError(429, `Send limit reached (${limited.limit}). Retry in ${Math.ceil(limited.retryAfterMs / 1000)}s`);
+  err.details = { limit: limited.limit };
+  err.retryAfterMs = limited.retryAfterMs;
+  return err;
+}
+
+// Optional random pause before a send; with SEND_TYPING the chat shows
+// "typing..." for a time that grows with the text
+async function humanizeSend(session, chatId, text) {
+  let delayMs = SEND_DELAY_MIN_MS + Math.random() * (SEND_DELAY_MAX_MS - SEND_DELAY_MIN_MS);
+  if (SEND_TYPING && text) {
+    try {
+      const chat = await session.client.getChatById(chatId);
+      await chat.sendStateTyping();
+      delayMs = Math.max(delayMs, Math.min(String(text).length * SEND_TYPING_MS_PER_CHAR, SEND_TYPING_MAX_MS));
+    } catch (err) {
+      log.debug('Typing indicator failed', { chatId, error: err.message });
+    }
+  }
+  if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+}
+
+// Take a slot (or throw a 429 error with retryAfterMs), pace, then send
+async function governedSend(session, chatId, source, text, send) {
+  const limited = await reserveSendSlot(session, chatId, source);
+  if (limited) throw sendLimitError(limited);
+  await humanizeSend(session, chatId, text);
+  return send();
+}
+
+// 429 responses tell the caller when to come back
+function setRetryAfter(res, error) {
+  if (error.retryAfterMs) res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+}
+
+function publicSendUsage(session) {
+  const usage = getSendUsage(session.id);
+  const now = Date.now();
+  const used = {
+    lastSecond: countSince(usage.sends, 1000, now),
+    lastMinute: countSince(usage.sends, 60 * 1000, now),
+    lastDay: usage.sends.length,
+    newChatsLastHour: countSince(usage.newChats, HOUR_MS, now),
+    newChatsLastDay: usage.newChats.length
+  };
+  const remaining = (cap, count) => (cap ? Math.max(cap - count, 0) : null);
+  return {
+    sessionId: session.id,
+    limits: SEND_LIMITS,
+    usage: used,
+    remaining: {
+      perMinute: remaining(SEND_LIMITS.perMinute, used.lastMinute),
+      perDay: remaining(SEND_LIMITS.perDay, used.lastDay),
+      newChatsPerHour: remaining(SEND_LIMITS.newChatsPerHour, used.newChatsLastHour),
+      newChatsPerDay: remaining(SEND_LIMITS.newChatsPerDay, used.newChatsLastDay)
+    },
+    knownChats: usage.knownChats.size,
+    pacing: { delayMinMs: SEND_DELAY_MIN_MS, delayMaxMs: SEND_DELAY_MAX_MS, typing: SEND_TYPING }
+  };
+}
+
+loadSendGovernor();
+setInterval(() => {
+  // Per-chat gaps only matter for a few seconds
+  const cutoff = Date.now() - SEND_LIMITS.recipientIntervalSeconds * 1000;
+  for (const usage of sendGovernor.values()) {
+    for (const [chatId, sentAt] of usage.lastSentTo) {
+      if (sentAt <= cutoff) usage.lastSentTo.delete(chatId);
+    }
+  }
+  if (sendGovernorDirty) saveSendGovernor();
+}, 5000);
+
+// Durable outbound queue (outbox)
+// Queued sends are written to disk and delivered once the session is ready,
+// so messages survive reconnects and process restarts.
+const OUTBOX_PATH = process.env.OUTBOX_PATH || path.join(path.dirname(STATE_PATH), '.wwebjs_outbox.json');
+const SEND_MODE = process.env.SEND_MODE === 'queue' ? 'queue' : 'direct';
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 5;
+const OUTBOX_RETENTION_MS = (parseInt(process.env.OUTBOX_RETENTION_HOURS, 10) || 72) * 60 * 60 * 1000;
+let outbox = [];
+let outboxProcessing = false;
+
+function loadOutbox() {
+  try {
+    if (!fs.existsSync(OUTBOX_PATH)) return;
+    const raw = JSON.parse(fs.readFileSync(OUTBOX_PATH, 'utf8'));
+    outbox = Array.isArray(raw.jobs) ? raw.jobs : [];
+
+    // A job left in "sending" was interrupted by a crash - try it again
+    outbox.forEach((job) => {
+      if (job.status === 'sending') job.status = 'queued';
+    });
+    const pending = outbox.filter(j => j.status === 'queued').length;
+    log.info(`📬 Outbox loaded: ${outbox.length} job(s), ${pending} pending`);
+  } catch (err) {
+    log.error('❌ Failed to load outbox', { error: err.message });
+  }
+}
+
+function saveOutbox() {
+  try {
+    writeFileAtomic(OUTBOX_PATH, JSON.stringify({ jobs: outbox }));
+  } catch (err) {
+    log.error('❌ Failed to save outbox', { error: err.message });
+  }
+}
+
+// "spec" is a parsed /api/send body (see parseSendSpec)
+function enqueueMessage(session, chatId, spec) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    sessionId: session.id,
+    to: chatId,
+    type: spec.type,
+    message: spec.message || null,
+    spec,
+    correlationId: currentCorrelationId(),
+    status: 'queued',
+    attempts: 0,
+    maxAttempts: OUTBOX_MAX_ATTEMPTS,
+    nextAttemptAt: now,
+    lastError: null,
+    messageId: null,
+    createdAt: now,
+    updatedAt: now,
+    sentAt: null
+  };
+  outbox.push(job);
+  saveOutbox();
+  log.info('📥 Message queued', { sessionId: session.id, jobId: job.id, to: chatId });
+  runInBackground(processOutbox);
+  return job;
+}
+
+function publicOutboxJob(job) {
+  return {
+    jobId: job.id,
+    sessionId: job.sessionId,
+    to: job.to,
+    type: job.type || 'text',
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    nextAttemptAt: job.status === 'queued' ? job.nextAttemptAt : null,
+    lastError: job.lastError,
+    messageId: job.messageId,
+    correlationId: job.correlationId || null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    sentAt: job.sentAt
+  };
+}
+
+// Deliver due jobs one at a time. Jobs for sessions that are not ready just
+// wait - attempts are only spent on real send failures.
+async function processOutbox() {
+  if (outboxProcessing) return;
+  outboxProcessing = true;
+
+  try {
+    const now = Date.now();
+    const due = outbox.filter(job => job.status === 'queued' && Date.parse(job.nextAttemptAt) <= now);
+
+    for (const job of due) {
+      const session = getSession(job.sessionId);
+      if (!session) {
+        job.status = 'failed';
+        job.lastError = `Session "${job.sessionId}" no longer exists`;
+        job.updatedAt = new Date().toISOString();
+        continue;
+      }
+      if (!session.isReady || !session.client) continue;
+
+      // Held back by the send governor - try again when a slot frees up
+      const limited = await reserveSendSlot(session, job.to, 'outbox');
+      if (limited) {
+        job.nextAttemptAt = new Date(Date.now() + limited.retryAfterMs).toISOString();
+        continue;
+      }
+
+      job.status = 'sending';
+      job.attempts += 1;
+      job.updatedAt = new Date().toISOString();
+      saveOutbox();
+
+      try {
+        await humanizeSend(session, job.to, job.message);
+        // Jobs queued before message types existed only have the text
+        const result = job.spec
+          ? await sendSpec(session.client, job.to, job.spec)
+          : await session.client.sendMessage(job.to, job.message);
+        job.status = 'sent';
+        job.messageId = result.id._serialized;
+        job.lastError = null;
+        job.sentAt = new Date().toISOString();
+        log.info('📤 Queued message sent', { sessionId: session.id, jobId: job.id, correlationId: job.correlationId, messageId: job.messageId });
+      } catch (error) {
+        job.lastError = error.message || String(error);
+        recordSendError(session, 'outbox', error);
+        if (job.attempts >= job.maxAttempts) {
+          job.status = 'failed';
+          log.error('❌ Queued message failed for good', { sessionId: session.id, jobId: job.id, correlationId: job.correlationId, error: job.lastError });
+        } else {
+          // Exponential backoff: 5s, 10s, 20s ... capped at 5 minutes
+          const delayMs = Math.min(5000 * Math.pow(2, job.attempts - 1), 5 * 60 * 1000);
+          job.status = 'queued';
+          job.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+          log.warn(`⚠️ Queued message attempt ${job.attempts} failed`, { sessionId: session.id, jobId: job.id, correlationId: job.correlationId, error: job.lastError, retryInMs: delayMs });
+        }
+        if (isPuppeteerDetachedFrameError(error)) {
+          session.isReady = false;
+          session.lastDisconnectAt = new Date().toISOString();
+          writeStateFile();
+          scheduleReinit(session, 'outbox:detached_frame');
+        }
+      }
+      job.updatedAt = new Date().toISOString();
+      saveOutbox();
+    }
+
+    // Drop finished jobs past the retention window
+    const cutoff = Date.now() - OUTBOX_RETENTION_MS;
+    const before = outbox.length;
+    outbox = outbox.filter(job => job.status === 'queued' || job.status === 'sending' || Date.parse(job.updatedAt) > cutoff);
+    if (outbox.length !== before) saveOutbox();
+  } finally {
+    outboxProcessing = false;
+  }
+}
+
+loadOutbox();
+
+// Outbound media
+// Accepts base64 (JSON), a multipart upload (field "file") or a URL and
+// turns it into a whatsapp-web.js MessageMedia, enforcing size/type limits.
+const MEDIA_ALLOWED_TYPES = (process.env.MEDIA_ALLOWED_TYPES ||
+  'image/*,video/*,audio/*,application/pdf,application/msword,application/vnd.openxmlformats-officedocument.*,application/vnd.ms-excel,application/vnd.ms-powerpoint,application/zip,text/plain,text/csv')
+  .split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MEDIA_MAX_BYTES, files: 1 }
+});
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Recipients
+// Every route that takes a phone number or chat id goes through
+// resolveRecipient(). Full JIDs (...@c.us, ...@g.us, ...@lid, ...@newsletter)
+// are used as-is. Anything else is a phone number, normalised to E.164
+// digits: "+" or "00" starts an international number, a leading 0 is a trunk
+// prefix replaced by DEFAULT_COUNTRY_CODE, and other numbers must already
+// start with their country code. The length is then checked for the country.
+const DEFAULT_COUNTRY_CODE = String(process.env.DEFAULT_COUNTRY_CODE || '').replace(/\D/g, '') || null;
+const JID_PATTERN = /^[\d-]+@(c\.us|g\.us|lid)$|^\d+@newsletter$/;
+// Allowed lengths of the number after the country code: [min, max]
+const COUNTRY_NUMBER_LENGTHS = {
+  1: [10, 10], 7: [10, 10], 20: [8, 10], 27: [9, 9], 30: [10, 10], 31: [9, 9], 32: [8, 9],
+  33: [9, 9], 34: [9, 9], 36: [8, 9], 39: [6, 11], 40: [9, 9], 41: [9, 9], 43: [4, 13],
+  44: [9, 10], 45: [8, 8], 46: [7, 9], 47: [8, 8], 48: [9, 9], 49: [6, 13], 51: [8, 9],
+  52: [10, 10], 54: [10, 11], 55: [10, 11], 56: [9, 9], 57: [10, 10], 58: [10, 10],
+  60: [8, 10], 61: [9, 9], 62: [8, 12], 63: [10, 10], 64: [8, 10], 65: [8, 8], 66: [8, 9],
+  81: [9, 10], 82: [8, 10], 84: [9, 10], 86: [10, 11], 90: [10, 10], 91: [10, 10],
+  92: [10, 10], 93: [9, 9], 94: [9, 9], 95: [8, 10], 98: [10, 10], 212: [9, 9], 213: [9, 9],
+  233: [9, 9], 234: [8, 10], 254: [9, 9], 255: [9, 9], 256: [9, 9], 351: [9, 9], 353: [7, 9],
+  380: [9, 9], 673: [7, 7], 852: [8, 8], 853: [8, 8], 855: [8, 9], 880: [10, 10], 886: [9, 9],
+  965: [8, 8], 966: [9, 9], 968: [8, 8], 971: [8, 9], 972: [8, 9], 973: [8, 8], 974: [8, 8],
+  977: [8, 10]
+};
+// Countries where a leading 0 is part of the number, not a trunk prefix
+const COUNTRIES_WITHOUT_TRUNK_PREFIX = ['39'];
+// E.164 bounds for country codes missing from the table
+const E164_MIN_DIGITS = 8;
+const E164_MAX_DIGITS = 15;
+
+function recipientError(input, normalized, code, reason) {
+  const label = String(input).includes('@') ? 'chat id' : 'phone number';
+  const err = httpError(400, `Invalid ${label} "${input}"${normalized && normalized !== input ? ` (normalized: ${normalized})` : ''}: ${reason}`);
+  err.details = { code, input: String(input), normalized: normalized || null };
+  return err;
+}
+
+function findCountryCode(digits) {
+  for (const length of [1, 2, 3]) {
+    const code = digits.slice(0, length);
+    if (COUNTRY_NUMBER_LENGTHS[code]) return code;
+  }
+  return null;
+}
+
+// Returns { phone, countryCode } with phone as E.164 digits (no "+"),
+// or throws a 400 error with { code, input, normalized } details
+function normalizePhone(input) {
+  const raw = String(input ?? '').trim();
+  if (!raw) throw recipientError(input, null, 'empty', 'no number given');
+  if (/[^\d\s+().\-/]/.test(raw)) {
+    throw recipientError(input, null, 'invalid_characters', 'only digits, spaces and + ( ) - . / are allowed');
+  }
+
+  let digits = raw.replace(/\D/g, '');
+  const international = raw.startsWith('+') || digits.startsWith('00');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+
+  if (!international && digits.startsWith('0')) {
+    if (!DEFAULT_COUNTRY_CODE) {
+      throw recipientError(input, digits, 'missing_country_code', 'local number without a country code. Add the country code or set DEFAULT_COUNTRY_CODE');
+    }
+    const national = COUNTRIES_WITHOUT_TRUNK_PREFIX.includes(DEFAULT_COUNTRY_CODE) ? digits : digits.replace(/^0+/, '');
+    digits = DEFAULT_COUNTRY_CODE + national;
+  }
+
+  const countryCode = findCountryCode(digits);
+  if (countryCode) {
+    // "+44 (0)20..." - drop the trunk 0 written after the country code
+    let national = digits.slice(countryCode.length);
+    if (national.startsWith('0') && !COUNTRIES_WITHOUT_TRUNK_PREFIX.includes(countryCode)) {
+      national = national.replace(/^0+/, '');
+    }
+    digits = countryCode + national;
+    const [min, max] = COUNTRY_NUMBER_LENGTHS[countryCode];
+    if (national.length < min || national.length > max) {
+      const expected = min === max ? `${min}` : `${min}-${max}`;
+      throw recipientError(input, `+${digits}`, national.length < min ? 'too_short' : 'too_long',
+        `+${countryCode} numbers have ${expected} digits after the country code, got ${national.length}`);
+    }
+    return { phone: digits, countryCode };
+  }
+
+  if (digits.length < E164_MIN_DIGITS || digits.length > E164_MAX_DIGITS) {
+    throw recipientError(input, `+${digits}`, digits.length < E164_MIN_DIGITS ? 'too_short' : 'too_long',
+      `expected ${E164_MIN_DIGITS}-${E164_MAX_DIGITS} digits including the country code, got ${digits.length}`);
+  }
+  return { phone: digits, countryCode: null };
+}
+
+// Turn a "to", participant, sender... into a chat id. Pass { groups: false }
+// where only people make sense.
+function resolveRecipient(input, { groups = true } = {}) {
+  const value = String(input ?? '').trim();
+  if (value.includes('@')) {
+    if (!JID_PATTERN.test(value)) {
+      throw recipientError(input, null, 'invalid_jid', 'not a valid chat id. Use ...@c.us, ...@g.us, ...@lid or ...@newsletter');
+    }
+    if (!groups && value.endsWith('@g.us')) {
+      throw recipientError(input, value, 'group_not_allowed', 'a group id is not allowed here');
+    }
+    return value;
+  }
+  return `${normalizePhone(value).phone}@c.us`;
+}
+
+// Error JSON with any structured details (recipient errors, send limits)
+function errorBody(error) {
+  return { error: error.message, ...error.details };
+}
+
+function isMimeTypeAllowed(mimetype) {
+  const type = String(mimetype || '').split(';')[0].trim().toLowerCase();
+  return MEDIA_ALLOWED_TYPES.some(allowed => allowed.endsWith('*')
+    ? type.startsWith(allowed.slice(0, -1))
+    : type === allowed);
+}
+
+// Multipart form fields arrive as strings
+function isTruthy(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+// Only run multer for multipart requests so JSON bodies keep working
+function parseMediaUpload(req, res, next) {
+  if (!req.is('multipart/form-data')) return next();
+  mediaUpload.single('file')(req, res, (err) => {
+    if (err) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: `Upload error: ${err.message}` });
+    }
+    next();
+  });
+}
+
+// Media URLs come from API callers and rules, so they must not reach the
+// server's own network: localhost, private ranges, cloud metadata
+// (169.254.169.254)... MEDIA_FETCH_ALLOW_PRIVATE=true turns the check off
+// for setups that serve media from the local network.
+const MEDIA_FETCH_ALLOW_PRIVATE = isTruthy(process.env.MEDIA_FETCH_ALLOW_PRIVATE);
+const MEDIA_FETCH_MAX_REDIRECTS = 5;
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv6'));
+
+// BlockList also matches IPv4-mapped IPv6 ("::ffff:127.0.0.1") against the IPv4 ranges
+function isPrivateAddress(address) {
+  return PRIVATE_NETWORKS.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Used for every connection, so hosts that resolve to a private address -
+// including redirect targets and DNS answers that change between requests -
+// are refused before anything is sent
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(httpError(400, `Media URL host "${hostname}" resolves to a private address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const mediaFetchAgents = MEDIA_FETCH_ALLOW_PRIVATE ? {} : {
+  httpAgent: new http.Agent({ lookup: publicOnlyLookup }),
+  httpsAgent: new https.Agent({ lookup: publicOnlyLookup })
+};
+
+function parseMediaUrl(rawUrl, base) {
+  let url;
+  try {
+    url = new URL(rawUrl, base);
+  } catch (error) {
+    throw httpError(400, 'Invalid media URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw httpError(400, 'Media URL must be http or https');
+  }
+  // IP literals are connected to without a lookup
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (!MEDIA_FETCH_ALLOW_PRIVATE && net.isIP(host) && isPrivateAddress(host)) {
+    throw httpError(400, 'Media URL must not point to a private address');
+  }
+  return url;
+}
+
+// Fetch media for sending from a public http(s) URL, capped at
+// MEDIA_MAX_BYTES. Redirects are followed here so each hop is checked.
+async function downloadMedia(rawUrl) {
+  let url = parseMediaUrl(rawUrl);
+
+  log.info(`🌐 Downloading media: ${url.href}`);
+  let response;
+  for (let redirects = 0; ; redirects++) {
+    try {
+      response = await axios.get(url.href, {
+        responseType: 'arraybuffer',
+        timeout: 30000,
+        maxContentLength: MEDIA_MAX_BYTES,
+        maxBodyLength: MEDIA_MAX_BYTES,
+        maxRedirects: 0,
+        validateStatus: status => status >= 200 && status < 400,
+        ...mediaFetchAgents
+      });
+    } catch (error) {
+      // Refusals from publicOnlyLookup come back wrapped by axios
+      if (error.cause && error.cause.status) throw error.cause;
+      if (error.message && error.message.includes('maxContentLength')) {
+        throw httpError(413, `Media exceeds ${MEDIA_MAX_BYTES} bytes`);
+      }
+      throw httpError(400, `Failed to download media: ${error.message}`);
+    }
+    if (response.status < 300) break;
+    if (!response.headers.location) {
+      throw httpError(400, `Failed to download media: HTTP ${response.status} without a Location header`);
+    }
+    if (redirects >= MEDIA_FETCH_MAX_REDIRECTS) {
+      throw httpError(400, `Failed to download media: more than ${MEDIA_FETCH_MAX_REDIRECTS} redirects`);
+    }
+    url = parseMediaUrl(response.headers.location, url);
+  }
+  return {
+    buffer: Buffer.from(response.data),
+    mimetype: (response.headers['content-type'] || '').split(';')[0] || null,
+    filename: path.basename(url.pathname) || null
+  };
+}
+
+async function buildMessageMedia(req) {
+  const body = req.body || {};
+  let mimetype = body.mimetype || null;
+  let filename = null;
+  let data = null;
+  let size = 0;
+
+  if (req.file) {
+    mimetype = mimetype || req.file.mimetype;
+    filename = req.file.originalname || null;
+    data = req.file.buffer.toString('base64');
+    size = req.file.size;
+  } else if (body.data) {
+    // Accept raw base64 or a data URL (data:image/png;base64,...)
+    let raw = String(body.data);
+    const dataUrl = raw.match(/^data:([^;,]+)?(?:;[^,]*)?,(.*)$/s);
+    if (dataUrl) {
+      mimetype = mimetype || dataUrl[1] || null;
+      raw = dataUrl[2];
+    }
+    data = raw.replace(/\s/g, '');
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(data)) {
+      throw httpError(400, 'Media "data" is not valid base64');
+    }
+    size = Buffer.byteLength(data, 'base64');
+  } else if (body.url) {
+    const download = await downloadMedia(body.url);
+    mimetype = mimetype || download.mimetype;
+    filename = download.filename;
+    data = download.buffer.toString('base64');
+    size = download.buffer.length;
+  } else {
+    throw httpError(400, 'Media is required: send "data" (base64), "url" or a multipart "file"');
+  }
+
+  if (!mimetype) {
+    throw httpError(400, 'Media "mimetype" is required');
+  }
+  if (!isMimeTypeAllowed(mimetype)) {
+    throw httpError(415, `Media type "${mimetype}" is not allowed`);
+  }
+  if (size === 0) {
+    throw httpError(400, 'Media is empty');
+  }
+  if (size > MEDIA_MAX_BYTES) {
+    throw httpError(413, `Media exceeds ${MEDIA_MAX_BYTES} bytes`);
+  }
+
+  return {
+    media: new MessageMedia(mimetype, data, body.filename || filename, size),
+    size
+  };
+}
+
+// Incoming media store
+// Media from incoming messages is saved to disk and exposed to webhooks via
+// signed, expiring /api/media/:id URLs (or inline base64 for small files).
+const MEDIA_STORE_PATH = process.env.MEDIA_STORE_PATH || path.join(path.dirname(STATE_PATH), 'media');
+const MEDIA_DOWNLOAD_MAX_BYTES = parseInt(process.env.MEDIA_DOWNLOAD_MAX_BYTES, 10) || 64 * 1024 * 1024;
+const MEDIA_INLINE_MAX_BYTES = parseInt(process.env.MEDIA_INLINE_MAX_BYTES, 10) || 0;
+const MEDIA_URL_TTL_SECONDS = parseInt(process.env.MEDIA_URL_TTL_SECONDS, 10) || 24 * 60 * 60;
+const MEDIA_RETENTION_MS = (parseInt(process.env.MEDIA_RETENTION_HOURS, 10) || 72) * 60 * 60 * 1000;
+const MEDIA_ID_PATTERN = /^[0-9a-f-]{36}$/;
+let mediaUrlSecret = process.env.MEDIA_URL_SECRET || null;
+
+// Without MEDIA_URL_SECRET, generate one and keep it next to the media so
+// signed URLs stay valid across restarts
+function getMediaUrlSecret() {
+  if (mediaUrlSecret) return mediaUrlSecret;
+  const secretPath = path.join(MEDIA_STORE_PATH, '.url_secret');
+  try {
+    if (fs.existsSync(secretPath)) {
+      mediaUrlSecret = fs.readFileSync(secretPath, 'utf8').trim();
+    } else {
+      mediaUrlSecret = crypto.randomBytes(32).toString('hex');
+      writeFileAtomic(secretPath, mediaUrlSecret, { mode: 0o600 });
+    }
+  } catch (err) {
+    log.error('❌ Failed to persist media URL secret', { error: err.message });
+    mediaUrlSecret = mediaUrlSecret || crypto.randomBytes(32).toString('hex');
+  }
+  return mediaUrlSecret;
+}
+
+function signMediaId(id, expires) {
+  return crypto.createHmac('sha256', getMediaUrlSecret()).update(`${id}:${expires}`).digest('hex');
+}
+
+function verifyMediaSignature(id, expires, sig) {
+  if (!expires || !sig || Number(expires) < Math.floor(Date.now() / 1000)) return false;
+  const expected = Buffer.from(signMediaId(id, expires), 'hex');
+  const given = Buffer.from(String(sig), 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function getPublicBaseUrl() {
+  if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL.replace(/\/$/, '');
+  if (process.env.RAILWAY_PUBLIC_DOMAIN) return `https://${process.env.RAILWAY_PUBLIC_DOMAIN}`;
+  return '';
+}
+
+function buildMediaUrl(id) {
+  const expires = Math.floor(Date.now() / 1000) + MEDIA_URL_TTL_SECONDS;
+  return {
+    url: `${getPublicBaseUrl()}/api/media/${id}?expires=${expires}&sig=${signMediaId(id, expires)}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+}
+
+function readMediaMeta(id) {
+  try {
+    const metaPath = path.join(MEDIA_STORE_PATH, `${id}.json`);
+    if (!fs.existsSync(metaPath)) return null;
+    return JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+// Download an incoming message's media and describe it for the webhook.
+// Returns null when the media cannot be fetched (deleted, expired, too big).
+async function saveIncomingMedia(session, msg) {
+  const declaredSize = msg._data?.size;
+  if (declaredSize && declaredSize > MEDIA_DOWNLOAD_MAX_BYTES) {
+    log.warn(`⚠️ Skipping media download: ${declaredSize} bytes exceeds limit`, { sessionId: session.id });
+    return null;
+  }
+
+  const downloaded = await msg.downloadMedia();
+  if (!downloaded || !downloaded.data) return null;
+
+  const buffer = Buffer.from(downloaded.data, 'base64');
+  if (buffer.length > MEDIA_DOWNLOAD_MAX_BYTES) {
+    log.warn(`⚠️ Discarding downloaded media: ${buffer.length} bytes exceeds limit`, { sessionId: session.id });
+    return null;
+  }
+
+  const id = crypto.randomUUID();
+  const meta = {
+    id,
+    sessionId: session.id,
+    messageId: msg.id?._serialized || null,
+    mimetype: downloaded.mimetype,
+    filename: downloaded.filename || null,
+    size: buffer.length,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    createdAt: new Date().toISOString()
+  };
+
+  if (!fs.existsSync(MEDIA_STORE_PATH)) {
+    fs.mkdirSync(MEDIA_STORE_PATH, { recursive: true });
+  }
+  fs.writeFileSync(path.join(MEDIA_STORE_PATH, `${id}.bin`), buffer);
+  fs.writeFileSync(path.join(MEDIA_STORE_PATH, `${id}.json`), JSON.stringify(meta));
+  log.info(`💾 Media saved: ${id} ${meta.mimetype} ${meta.size} bytes`, { sessionId: session.id });
+
+  const { sessionId, messageId, createdAt, ...info } = meta;
+  return {
+    ...info,
+    ...buildMediaUrl(id),
+    data: meta.size <= MEDIA_INLINE_MAX_BYTES ? downloaded.data : undefined
+  };
+}
+
+function purgeExpiredMedia() {
+  try {
+    if (!fs.existsSync(MEDIA_STORE_PATH)) return;
+    const cutoff = Date.now() - MEDIA_RETENTION_MS;
+    let removed = 0;
+    for (const file of fs.readdirSync(MEDIA_STORE_PATH)) {
+      if (!file.endsWith('.json')) continue;
+      const id = file.slice(0, -5);
+      const meta = readMediaMeta(id);
+      const createdAt = meta ? Date.parse(meta.createdAt) : 0;
+      if (createdAt < cutoff) {
+        fs.rmSync(path.join(MEDIA_STORE_PATH, `${id}.bin`), { force: true });
+        fs.rmSync(path.join(MEDIA_STORE_PATH, file), { force: true });
+        removed += 1;
+      }
+    }
+    if (removed) log.info(`🧹 Purged ${removed} expired media file(s)`);
+  } catch (err) {
+    log.warn('⚠️ Media purge failed', { error: err.message });
+  }
+}
+
+purgeExpiredMedia();
+setInterval(purgeExpiredMedia, 60 * 60 * 1000);
+
+// Message history
+// Every message seen by message_create is stored in Postgres (DATABASE_URL)
+// and can be searched with GET /api/messages. Without a database the rest of
+// the API keeps working and history is disabled.
+const DATABASE_URL = process.env.DATABASE_URL || null;
+const MESSAGE_PAGE_DEFAULT = 50;
+const MESSAGE_PAGE_MAX = 200;
+// Serializes migrations when several instances boot against the same database
+const MIGRATION_LOCK_ID = 724019;
+let dbPool = null;
+let messageStoreReady = false;
+
+// Applied in order at startup and recorded in wa_schema_migrations.
+// Never edit a migration once released - add a new one instead.
+const MESSAGE_STORE_MIGRATIONS = [
+  {
+    id: 1,
+    name: 'create_messages',
+    sql: `
+      CREATE TABLE IF NOT EXISTS wa_messages (
+        session_id TEXT NOT NULL,
+        id TEXT NOT NULL,
+        chat_id TEXT NOT NULL,
+        sender TEXT,
+        sender_name TEXT,
+        recipient TEXT,
+        from_me BOOLEAN NOT NULL DEFAULT FALSE,
+        direction TEXT NOT NULL,
+        is_group BOOLEAN NOT NULL DEFAULT FALSE,
+        type TEXT,
+        body TEXT,
+        timestamp TIMESTAMPTZ NOT NULL,
+        ack SMALLINT,
+        ack_status TEXT,
+        has_media BOOLEAN NOT NULL DEFAULT FALSE,
+        media_id TEXT,
+        media_mimetype TEXT,
+        media_filename TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (session_id, id)
+      );
+      CREATE INDEX IF NOT EXISTS wa_messages_timestamp_idx ON wa_messages (timestamp DESC, id DESC);
+      CREATE INDEX IF NOT EXISTS wa_messages_chat_idx ON wa_messages (chat_id, timestamp DESC, id DESC);
+      CREATE INDEX IF NOT EXISTS wa_messages_body_idx ON wa_messages USING GIN (to_tsvector('simple', COALESCE(body, '')));
+    `
+  }
+];
+
+async function runMessageStoreMigrations(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS wa_schema_migrations (
+      id INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  const { rows } = await client.query('SELECT id FROM wa_schema_migrations');
+  const applied = new Set(rows.map(row => row.id));
+
+  for (const migration of MESSAGE_STORE_MIGRATIONS) {
+    if (applied.has(migration.id)) continue;
+    await client.query('BEGIN');
+    try {
+      await client.query(migration.sql);
+      await client.query('INSERT INTO wa_schema_migrations (id, name) VALUES ($1, $2)', [migration.id, migration.name]);
+      await client.query('COMMIT');
+      log.info(`🗄️  Applied migration ${migration.id} (${migration.name})`);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw new Error(`Migration ${migration.id} (${migration.name}) failed: ${err.message}`);
+    }
+  }
+}
+
+async function initMessageStore() {
+  if (!DATABASE_URL) {
+    log.info('🗄️  DATABASE_URL not set - message history disabled');
+    return;
+  }
+
+  dbPool = new Pool({
+    connectionString: DATABASE_URL,
+    max: parseInt(process.env.DATABASE_POOL_MAX, 10) || 5,
+    ssl: isTruthy(process.env.DATABASE_SSL) ? { rejectUnauthorized: false } : undefined
+  });
+  dbPool.on('error', (err) => {
+    log.error('❌ Postgres pool error', { error: err.message });
+  });
+
+  const client = await dbPool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    try {
+      await runMessageStoreMigrations(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+
+  messageStoreReady = true;
+  log.info('🗄️  Message history enabled (Postgres)');
+}
+
+// Store a message from message_create. Writes are fire-and-forget so a slow
+// or unavailable database never holds up webhooks.
+function saveMessageRecord(session, msg, { chatId, isGroup, media }) {
+  if (!messageStoreReady) return;
+  const ack = typeof msg.ack === 'number' ? msg.ack : null;
+  const timestamp = msg.timestamp || Math.floor(Date.now() / 1000);
+
+  dbPool.query(`
+    INSERT INTO wa_messages (
+      session_id, id, chat_id, sender, sender_name, recipient, from_me, direction, is_group,
+      type, body, timestamp, ack, ack_status, has_media, media_id, media_mimetype, media_filename
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, to_timestamp($12), $13, $14, $15, $16, $17, $18)
+    ON CONFLICT (session_id, id) DO UPDATE SET
+      body = EXCLUDED.body,
+      media_id = COALESCE(EXCLUDED.media_id, wa_messages.media_id),
+      updated_at = NOW()
+  `, [
+    session.id,
+    msg.id?._serialized || `unknown-${crypto.randomUUID()}`,
+    chatId,
+    msg.author || msg.from,
+    msg._data?.notifyName || null,
+    msg.to,
+    msg.fromMe === true,
+    msg.fromMe ? 'out' : 'in',
+    isGroup,
+    msg.type || null,
+    msg.body || null,
+    timestamp,
+    ack,
+    ack === null ? null : (ACK_STATUSES[ack] || 'unknown'),
+    msg.hasMedia === true,
+    media?.id || null,
+    media?.mimetype || msg._data?.mimetype || null,
+    media?.filename || msg._data?.filename || null
+  ]).catch((err) => {
+    log.error('❌ Failed to store message', { sessionId: session.id, error: err.message });
+  });
+}
+
+// Acks can arrive out of order, so only move the status forward
+// (errors are always recorded)
+function updateMessageAck(session, messageId, ack) {
+  if (!messageStoreReady || !messageId) return;
+  dbPool.query(`
+    UPDATE wa_messages SET ack = $3, ack_status = $4, updated_at = NOW()
+    WHERE session_id = $1 AND id = $2 AND (ack IS NULL OR ack < $3 OR $3 < 0)
+  `, [session.id, messageId, ack, ACK_STATUSES[ack] || 'unknown']).catch((err) => {
+    log.error('❌ Failed to update message ack', { sessionId: session.id, error: err.message });
+  });
+}
+
+// Cursors point at the last row of a page: (timestamp, session, id) descending
+function encodeMessageCursor(row) {
+  return Buffer.from(JSON.stringify([row.timestamp.toISOString(), row.session_id, row.id])).toString('base64url');
+}
+
+function decodeMessageCursor(cursor) {
+  try {
+    const [timestamp, sessionId, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (isNaN(Date.parse(timestamp)) || typeof sessionId !== 'string' || typeof id !== 'string') return null;
+    return { timestamp, sessionId, id };
+  } catch (err) {
+    return null;
+  }
+}
+
+function publicMessageRecord(row) {
+  // Stored media is only downloadable until it is purged from disk
+  const media = row.media_id && readMediaMeta(row.media_id)
+    ? { id: row.media_id, mimetype: row.media_mimetype, filename: row.media_filename, ...buildMediaUrl(row.media_id) }
+    : null;
+
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    chatId: row.chat_id,
+    from: row.sender,
+    fromName: row.sender_name,
+    to: row.recipient,
+    fromMe: row.from_me,
+    direction: row.direction,
+    isGroup: row.is_group,
+    type: row.type,
+    body: row.body,
+    timestamp: row.timestamp.toISOString(),
+    ack: row.ack,
+    ackStatus: row.ack_status,
+    hasMedia: row.has_media,
+    mediaId: row.media_id,
+    mediaMimetype: row.media_mimetype,
+    media
+  };
+}
+
+// Build the WHERE clause for GET /api/messages. Returns { error } or { where, values, limit }.
+function buildMessageQuery(query) {
+  const conditions = [];
+  const values = [];
+  const add = (sql, ...params) => {
+    values.push(...params);
+    let index = values.length - params.length;
+    conditions.push(sql.replace(/\?/g, () => `$${++index}`));
+  };
+
+  if (query.sessionId) add('session_id = ?', String(query.sessionId));
+
+  if (query.chatId) {
+    try {
+      add('chat_id = ?', resolveRecipient(query.chatId));
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  if (query.direction) {
+    if (!['in', 'out'].includes(query.direction)) {
+      return { error: 'direction must be "in" or "out"' };
+    }
+    add('direction = ?', query.direction);
+  }
+
+  for (const [param, operator] of [['from', '>='], ['to', '<=']]) {
+    if (!query[param]) continue;
+    const time = Date.parse(query[param]);
+    if (isNaN(time)) {
+      return { error: `"${param}" must be an ISO date` };
+    }
+    add(`timestamp ${operator} ?`, new Date(time).toISOString());
+  }
+
+  if (query.q) {
+    add(`to_tsvector('simple', COALESCE(body, '')) @@ websearch_to_tsquery('simple', ?)`, String(query.q));
+  }
+
+  if (query.cursor) {
+    const cursor = decodeMessageCursor(String(query.cursor));
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+    add('(timestamp, session_id, id) < (?, ?, ?)', cursor.timestamp, cursor.sessionId, cursor.id);
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || MESSAGE_PAGE_DEFAULT, 1), MESSAGE_PAGE_MAX);
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+    values,
+    limit
+  };
+}
+
+// Bulk number checks
+// Lists of numbers (JSON or CSV) are checked in the background, one lookup
+// at a time per session and at most CHECK_RATE_PER_MINUTE, so validating a
+// large lead list does not get the number flagged. Results are cached so
+// repeat checks skip WhatsApp entirely.
+const CHECK_JOBS_PATH = process.env.CHECK_JOBS_PATH || path.join(path.dirname(STATE_PATH), '.wwebjs_check_jobs.json');
+const CHECK_CACHE_PATH = process.env.CHECK_CACHE_PATH || path.join(path.dirname(STATE_PATH), '.wwebjs_check_cache.json');
+const CHECK_RATE_PER_MINUTE = parseInt(process.env.CHECK_RATE_PER_MINUTE, 10) || 30;
+const CHECK_CACHE_TTL_MS = (parseInt(process.env.CHECK_CACHE_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+const CHECK_JOB_MAX_NUMBERS = parseInt(process.env.CHECK_JOB_MAX_NUMBERS, 10) || 50000;
+const CHECK_JOB_RETENTION_MS = (parseInt(process.env.CHECK_JOB_RETENTION_HOURS, 10) || 72) * 60 * 60 * 1000;
+const CHECK_MAX_ATTEMPTS = 3;
+const CHECK_CSV_MAX_BYTES = 5 * 1024 * 1024;
+let checkJobs = [];
+let checkCache = {};
+let checkJobsProcessing = false;
+let checkJobsDirtyAt = 0;
+let checkCacheDirty = false;
+// Earliest time the next uncached lookup may run, per session
+const nextCheckAt = new Map();
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: CHECK_CSV_MAX_BYTES, files: 1 }
+});
+
+function loadCheckJobs() {
+  try {
+    if (fs.existsSync(CHECK_JOBS_PATH)) {
+      const raw = JSON.parse(fs.readFileSync(CHECK_JOBS_PATH, 'utf8'));
+      checkJobs = Array.isArray(raw.jobs) ? raw.jobs : [];
+      const running = checkJobs.filter(j => j.status === 'queued' || j.status === 'running').length;
+      log.info(`📇 Check jobs loaded: ${checkJobs.length} job(s), ${running} unfinished`);
+    }
+    if (fs.existsSync(CHECK_CACHE_PATH)) {
+      checkCache = JSON.parse(fs.readFileSync(CHECK_CACHE_PATH, 'utf8')).entries || {};
+    }
+  } catch (err) {
+    log.error('❌ Failed to load check jobs', { error: err.message });
+  }
+}
+
+function saveCheckJobs() {
+  try {
+    writeFileAtomic(CHECK_JOBS_PATH, JSON.stringify({ jobs: checkJobs }));
+    if (checkCacheDirty) {
+      writeFileAtomic(CHECK_CACHE_PATH, JSON.stringify({ entries: checkCache }));
+      checkCacheDirty = false;
+    }
+    checkJobsDirtyAt = 0;
+  } catch (err) {
+    log.error('❌ Failed to save check jobs', { error: err.message });
+  }
+}
+
+// Progress changes after every number - batch those writes
+function markCheckJobsDirty() {
+  if (!checkJobsDirtyAt) checkJobsDirtyAt = Date.now();
+}
+
+function getCachedCheck(chatId, includeProfile) {
+  const entry = checkCache[chatId];
+  if (!entry || Date.now() - Date.parse(entry.checkedAt) > CHECK_CACHE_TTL_MS) return null;
+  // A cached result without profile info can't answer a profile request
+  if (includeProfile && entry.isWhatsAppUser && !entry.includesProfile) return null;
+  return entry;
+}
+
+// Split CSV text into rows, honouring quoted fields. Accepts , ; or tab.
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, d) => firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim()));
+}
+
+// Take the phone column from a CSV: a header named phone/number/mobile/
+// whatsapp, otherwise the first column
+function extractPhonesFromCsv(text, column) {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!rows.length) return [];
+
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const wanted = column ? [String(column).toLowerCase()] : ['phone', 'number', 'mobile', 'whatsapp', 'phone_number', 'msisdn'];
+  let index = header.findIndex(h => wanted.includes(h));
+  if (column && index === -1) {
+    throw httpError(400, `CSV has no "${column}" column`);
+  }
+  const hasHeader = index !== -1 || !/\d{6,}/.test(rows[0].join(''));
+  if (index === -1) index = 0;
+
+  return rows.slice(hasHeader ? 1 : 0).map(r => (r[index] || '').trim()).filter(Boolean);
+}
+
+function createCheckJob(session, phones, includeProfile) {
+  const now = new Date().toISOString();
+  const seen = new Set();
+  const items = [];
+
+  for (const input of phones) {
+    let phone = String(input).replace(/\D/g, '');
+    let error = null;
+    try {
+      phone = normalizePhone(input).phone;
+    } catch (err) {
+      error = err.message;
+    }
+    if (seen.has(phone)) continue;
+    seen.add(phone);
+    items.push({
+      input: String(input),
+      phone,
+      status: error ? 'invalid' : 'pending',
+      attempts: 0,
+      isWhatsAppUser: null,
+      name: null,
+      profilePicture: null,
+      cached: false,
+      checkedAt: null,
+      error
+    });
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    sessionId: session.id,
+    status: 'queued',
+    includeProfile,
+    items,
+    duplicates: phones.length - items.length,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+    lastError: null
+  };
+  checkJobs.push(job);
+  saveCheckJobs();
+  log.info(`📇 Check job queued job=${job.id} numbers=${items.length}`, { sessionId: session.id });
+  runInBackground(processCheckJobs);
+  return job;
+}
+
+function summarizeCheckJob(job) {
+  const counts = { pending: 0, registered: 0, notRegistered: 0, invalid: 0, error: 0, cached: 0 };
+  for (const item of job.items) {
+    if (item.status === 'pending') counts.pending++;
+    else if (item.status === 'invalid') counts.invalid++;
+    else if (item.status === 'error') counts.error++;
+    else if (item.isWhatsAppUser) counts.registered++;
+    else counts.notRegistered++;
+    if (item.cached) counts.cached++;
+  }
+  const total = job.items.length;
+  const processed = total - counts.pending;
+  const active = job.status === 'queued' || job.status === 'running';
+
+  return {
+    jobId: job.id,
+    sessionId: job.sessionId,
+    status: job.status,
+    includeProfile: job.includeProfile,
+    total,
+    processed,
+    progress: total ? Math.round(processed / total * 1000) / 10 : 100,
+    counts,
+    duplicatesRemoved: job.duplicates,
+    // Upper bound - cached numbers finish without waiting
+    estimatedSecondsLeft: active ? Math.ceil(counts.pending * 60 / CHECK_RATE_PER_MINUTE) : 0,
+    lastError: job.lastError,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    resultsUrl: `/api/check-user/bulk/${job.id}/results`
+  };
+}
+
+function publicCheckResult(item) {
+  return {
+    input: item.input,
+    phone: item.phone,
+    status: item.status,
+    isWhatsAppUser: item.isWhatsAppUser,
+    name: item.name,
+    profilePicture: item.profilePicture,
+    cached: item.cached,
+    checkedAt: item.checkedAt,
+    error: item.error
+  };
+}
+
+function toCsvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildCheckResultsCsv(job) {
+  const columns = ['input', 'phone', 'status', 'isWhatsAppUser', 'name', 'profilePicture', 'cached', 'checkedAt', 'error'];
+  const lines = job.items.map(item => {
+    const result = publicCheckResult(item);
+    return columns.map(column => toCsvValue(result[column])).join(',');
+  });
+  return [columns.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+// The same lookups as POST /api/check-user
+async function lookupNumber(session, chatId, includeProfile) {
+  const client = session.client;
+  const isWhatsAppUser = await client.isRegisteredUser(chatId);
+  const result = { isWhatsAppUser, name: null, profilePicture: null, includesProfile: includeProfile };
+
+  if (isWhatsAppUser && includeProfile) {
+    const contact = await client.getContactById(chatId);
+    result.name = contact.pushname || contact.name || null;
+    try {
+      result.profilePicture = await client.getProfilePicUrl(chatId) || null;
+    } catch (picError) {
+      // Privacy settings can hide the picture
+    }
+  }
+  return result;
+}
+
+function applyCheckResult(item, result, cached) {
+  item.status = 'done';
+  item.isWhatsAppUser = result.isWhatsAppUser;
+  item.name = result.name;
+  item.profilePicture = result.profilePicture;
+  item.cached = cached;
+  item.checkedAt = cached ? result.checkedAt : new Date().toISOString();
+  item.error = null;
+}
+
+// Work through unfinished jobs. Cached numbers complete immediately; each
+// session makes at most one real lookup per rate-limit slot.
+async function processCheckJobs() {
+  if (checkJobsProcessing) return;
+  checkJobsProcessing = true;
+
+  try {
+    const intervalMs = 60000 / CHECK_RATE_PER_MINUTE;
+    const busySessions = new Set();
+
+    for (const job of checkJobs) {
+      if (job.status !== 'queued' && job.status !== 'running') continue;
+      // Jobs on the same session run one after another
+      if (busySessions.has(job.sessionId)) continue;
+      busySessions.add(job.sessionId);
+
+      const session = getSession(job.sessionId);
+      if (!session) {
+        job.status = 'failed';
+        job.lastError = `Session "${job.sessionId}" no longer exists`;
+        job.finishedAt = job.updatedAt = new Date().toISOString();
+        saveCheckJobs();
+        continue;
+      }
+
+      if (job.status === 'queued') {
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        markCheckJobsDirty();
+      }
+
+      for (const item of job.items) {
+        if (item.status !== 'pending') continue;
+        const chatId = `${item.phone}@c.us`;
+
+        const cached = getCachedCheck(chatId, job.includeProfile);
+        if (cached) {
+          applyCheckResult(item, cached, true);
+          markCheckJobsDirty();
+          continue;
+        }
+
+        // Wait for the session and the next rate-limit slot
+        if (!session.isReady || !session.client) break;
+        if ((nextCheckAt.get(session.id) || 0) > Date.now()) break;
+        // Jitter (75-125% of the interval) so lookups don't look scripted
+        nextCheckAt.set(session.id, Date.now() + intervalMs * (0.75 + Math.random() * 0.5));
+
+        item.attempts += 1;
+        try {
+          const result = await lookupNumber(session, chatId, job.includeProfile);
+          checkCache[chatId] = { ...result, checkedAt: new Date().toISOString() };
+          checkCacheDirty = true;
+          applyCheckResult(item, result, false);
+        } catch (error) {
+          item.error = error.message || String(error);
+          if (item.attempts >= CHECK_MAX_ATTEMPTS) item.status = 'error';
+          log.warn(`⚠️ Number check failed job=${job.id} ${item.phone}: ${item.error}`, { sessionId: session.id });
+          if (isPuppeteerDetachedFrameError(error)) {
+            session.isReady = false;
+            session.lastDisconnectAt = new Date().toISOString();
+            writeStateFile();
+            scheduleReinit(session, 'check-bulk:detached_frame');
+          }
+        }
+        markCheckJobsDirty();
+        break;
+      }
+
+      job.updatedAt = new Date().toISOString();
+      if (!job.items.some(item => item.status === 'pending')) {
+        job.status = 'completed';
+        job.finishedAt = job.updatedAt;
+        log.info(`✅ Check job completed job=${job.id}`, { sessionId: job.sessionId });
+        saveCheckJobs();
+      }
+    }
+
+    // Drop finished jobs past the retention window
+    const cutoff = Date.now() - CHECK_JOB_RETENTION_MS;
+    const before = checkJobs.length;
+    checkJobs = checkJobs.filter(job => job.status === 'queued' || job.status === 'running' || Date.parse(job.updatedAt) > cutoff);
+    if (checkJobs.length !== before) markCheckJobsDirty();
+
+    if (checkJobsDirtyAt && Date.now() - checkJobsDirtyAt >= 5000) saveCheckJobs();
+  } finally {
+    checkJobsProcessing = false;
+  }
+}
+
+function purgeCheckCache() {
+  const cutoff = Date.now() - CHECK_CACHE_TTL_MS;
+  for (const [chatId, entry] of Object.entries(checkCache)) {
+    if (Date.parse(entry.checkedAt) < cutoff) {
+      delete checkCache[chatId];
+      checkCacheDirty = true;
+    }
+  }
+  if (checkCacheDirty) markCheckJobsDirty();
+}
+
+loadCheckJobs();
+setInterval(purgeCheckCache, 60 * 60 * 1000);
+
+// Broadcast campaigns
+// A campaign sends one templated message to a list of recipients at a
+// throttled, jittered pace. Recipients who opted out are skipped. Each
+// campaign has its own file in CAMPAIGNS_DIR, rewritten when it is created
+// or changes state. Progress is appended to a small journal next to it after
+// every send, so a crash resumes where it stopped without rewriting the
+// whole recipient list each time.
+const CAMPAIGNS_DIR = process.env.CAMPAIGNS_DIR || path.join(path.dirname(STATE_PATH), 'campaigns');
+// Only read to import campaigns saved by older versions in a single file
+const CAMPAIGNS_PATH = process.env.CAMPAIGNS_PATH || path.join(path.dirname(STATE_PATH), '.wwebjs_campaigns.json');
+// Only read to import opt-outs saved before the config store
+const OPT_OUTS_PATH = process.env.OPT_OUTS_PATH || path.join(path.dirname(STATE_PATH), '.wwebjs_opt_outs.json');
+const CAMPAIGN_RATE_PER_MINUTE = parseInt(process.env.CAMPAIGN_RATE_PER_MINUTE, 10) || 20;
+const CAMPAIGN_MAX_RECIPIENTS = parseInt(process.env.CAMPAIGN_MAX_RECIPIENTS, 10) || 50000;
+const CAMPAIGN_MAX_ATTEMPTS = 3;
+// Incoming messages that exactly match one of these (case-insensitive) opt the sender out
+const OPT_OUT_KEYWORDS = (process.env.OPT_OUT_KEYWORDS || 'STOP,UNSUBSCRIBE,STOP ALL,OPT OUT,OPTOUT')
+  .split(',').map(k => k.trim().toUpperCase()).filter(Boolean);
+const OPT_OUT_CONFIRMATION = process.env.OPT_OUT_CONFIRMATION || '';
+let campaigns = [];
+let optOuts = {};
+let campaignsProcessing = false;
+
+function getCampaignPath(id) {
+  return path.join(CAMPAIGNS_DIR, `${id}.json`);
+}
+
+function getCampaignProgressPath(id) {
+  return path.join(CAMPAIGNS_DIR, `${id}.progress.jsonl`);
+}
+
+// Apply journal lines written by recordCampaignProgress since the last save
+function applyCampaignProgress(campaign) {
+  const progressPath = getCampaignProgressPath(campaign.id);
+  if (!fs.existsSync(progressPath)) return 0;
+  let applied = 0;
+  fs.readFileSync(progressPath, 'utf8').split('\n').forEach((line) => {
+    if (!line.trim()) return;
+    try {
+      const { index, recipient, nextSendAt, updatedAt } = JSON.parse(line);
+      if (!campaign.recipients[index]) return;
+      Object.assign(campaign.recipients[index], recipient);
+      campaign.nextSendAt = nextSendAt;
+      campaign.updatedAt = updatedAt;
+      applied++;
+    } catch (err) {
+      // A line cut short by a crash
+    }
+  });
+  return applied;
+}
+
+function loadCampaigns() {
+  try {
+    if (fs.existsSync(CAMPAIGNS_DIR)) {
+      campaigns = fs.readdirSync(CAMPAIGNS_DIR)
+        .filter(name => name.endsWith('.json'))
+        .map(name => JSON.parse(fs.readFileSync(path.join(CAMPAIGNS_DIR, name), 'utf8')));
+    }
+
+    // Import campaigns from the single file used by older versions once
+    if (fs.existsSync(CAMPAIGNS_PATH)) {
+      const raw = JSON.parse(fs.readFileSync(CAMPAIGNS_PATH, 'utf8'));
+      (Array.isArray(raw.campaigns) ? raw.campaigns : []).forEach((campaign) => {
+        if (campaigns.some(c => c.id === campaign.id)) return;
+        campaigns.push(campaign);
+        saveCampaign(campaign);
+      });
+    }
+    campaigns.sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+
+    campaigns.forEach((campaign) => {
+      const applied = applyCampaignProgress(campaign);
+      // A recipient left in "sending" was interrupted by a crash - try it again
+      campaign.recipients.forEach((recipient) => {
+        if (recipient.status === 'sending') recipient.status = 'pending';
+      });
+      // Fold the journal back into the campaign file
+      if (applied) saveCampaign(campaign);
+    });
+    const running = campaigns.filter(c => c.status === 'running').length;
+    log.info(`📣 Campaigns loaded: ${campaigns.length} campaign(s), ${running} running`);
+  } catch (err) {
+    log.error('❌ Failed to load campaigns', { error: err.message });
+  }
+}
+
+// Write the whole campaign and start a new progress journal
+function saveCampaign(campaign) {
+  try {
+    writeFileAtomic(getCampaignPath(campaign.id), JSON.stringify(campaign));
+    fs.rmSync(getCampaignProgressPath(campaign.id), { force: true });
+  } catch (err) {
+    log.error('❌ Failed to save campaign', { campaignId: campaign.id, error: err.message });
+  }
+}
+
+// Append the new state of the recipients at these indexes
+function recordCampaignProgress(campaign, indexes) {
+  try {
+    const lines = indexes.map((index) => {
+      const { status, attempts, messageId, error, sentAt } = campaign.recipients[index];
+      return JSON.stringify({
+        index,
+        recipient: { status, attempts, messageId, error, sentAt },
+        nextSendAt: campaign.nextSendAt,
+        updatedAt: campaign.updatedAt
+      }) + '\n';
+    });
+    fs.appendFileSync(getCampaignProgressPath(campaign.id), lines.join(''));
+  } catch (err) {
+    log.error('❌ Failed to save campaign progress', { campaignId: campaign.id, error: err.message });
+  }
+}
+
+function loadOptOuts() {
+  optOuts = getConfig('optOuts', {});
+}
+
+function saveOptOuts() {
+  setConfig({ optOuts });
+}
+
+function isOptedOut(chatId) {
+  return Boolean(optOuts[chatId]);
+}
+
+function addOptOut(chatId, fields) {
+  if (optOuts[chatId]) return false;
+  optOuts[chatId] = { chatId, createdAt: new Date().toISOString(), ...fields };
+  saveOptOuts();
+  return true;
+}
+
+// Called from message_create for incoming direct messages. Returns true when
+// the message was an opt-out keyword.
+function handleOptOutMessage(session, msg, chatId) {
+  const keyword = String(msg.body || '').trim().toUpperCase();
+  if (!OPT_OUT_KEYWORDS.includes(keyword)) return false;
+  if (!addOptOut(chatId, { source: 'keyword', keyword, sessionId: session.id })) return true;
+
+  log.info(`🚫 Opt-out received: ${chatId} (${keyword})`, { sessionId: session.id });
+  if (OPT_OUT_CONFIRMATION) {
+    governedSend(session, chatId, 'opt_out', OPT_OUT_CONFIRMATION, () => session.client.sendMessage(chatId, OPT_OUT_CONFIRMATION)).catch((err) => {
+      log.warn(`⚠️ Opt-out confirmation failed: ${err.message}`, { sessionId: session.id });
+    });
+  }
+  return true;
+}
+
+// Replace {{name}} placeholders. "{{name|there}}" falls back to "there".
+// Placeholders with no value and no fallback are reported as missing.
+function renderTemplate(template, variables) {
+  const missing = [];
+  const text = template.replace(/\{\{\s*([\w.-]+)\s*(?:\|([^}]*))?\}\}/g, (match, key, fallback) => {
+    const value = variables[key];
+    if (value !== undefined && value !== null && value !== '') return String(value);
+    if (fallback !== undefined) return fallback.trim();
+    missing.push(key);
+    return match;
+  });
+  return { text, missing };
+}
+
+// Recipients are phone numbers / chat ids, or { to, variables } objects.
+// Invalid or duplicate entries are kept as "skipped" so they show in the report.
+function buildCampaignRecipients(list, template, defaults) {
+  const seen = new Set();
+  return list.map((entry) => {
+    const to = typeof entry === 'object' && entry !== null ? entry.to || entry.phone : entry;
+    const variables = typeof entry === 'object' && entry !== null && typeof entry.variables === 'object' ? entry.variables : {};
+    const recipient = {
+      to: String(to ?? ''),
+      chatId: null,
+      variables,
+      status: 'pending',
+      attempts: 0,
+      messageId: null,
+      error: null,
+      sentAt: null
+    };
+
+    try {
+      recipient.chatId = resolveRecipient(recipient.to);
+    } catch (err) {
+      return { ...recipient, status: 'skipped', error: err.message };
+    }
+    if (seen.has(recipient.chatId)) {
+      return { ...recipient, status: 'skipped', error: 'Duplicate recipient' };
+    }
+    seen.add(recipient.chatId);
+
+    const { missing } = renderTemplate(template, { ...defaults, phone: recipient.chatId.split('@')[0], ...variables });
+    if (missing.length) {
+      return { ...recipient, status: 'skipped', error: `Missing variable(s): ${missing.join(', ')}` };
+    }
+    return recipient;
+  });
+}
+
+function summarizeCampaign(campaign) {
+  const counts = { pending: 0, sent: 0, failed: 0, skipped: 0, optedOut: 0, cancelled: 0 };
+  for (const recipient of campaign.recipients) {
+    if (recipient.status === 'sending') counts.pending++;
+    else if (recipient.status === 'opted_out') counts.optedOut++;
+    else counts[recipient.status]++;
+  }
+  return {
+    id: campaign.id,
+    name: campaign.name,
+    sessionId: campaign.sessionId,
+    status: campaign.status,
+    template: campaign.template,
+    ratePerMinute: campaign.ratePerMinute,
+    jitter: campaign.jitter,
+    total: campaign.recipients.length,
+    counts,
+    nextSendAt: campaign.status === 'running' ? campaign.nextSendAt : null,
+    lastError: campaign.lastError,
+    createdAt: campaign.createdAt,
+    updatedAt: campaign.updatedAt,
+    startedAt: campaign.startedAt,
+    finishedAt: campaign.finishedAt
+  };
+}
+
+// Returns true when the campaign has just completed
+function finishCampaignIfDone(campaign) {
+  if (campaign.recipients.some(r => r.status === 'pending' || r.status === 'sending')) return false;
+  campaign.status = 'completed';
+  campaign.finishedAt = new Date().toISOString();
+  log.info(`✅ Campaign completed ${campaign.id} "${campaign.name}"`, { sessionId: campaign.sessionId });
+  return true;
+}
+
+// Send at most one message per running campaign per tick, spaced by its rate
+// with random jitter. Campaigns on the same session take turns.
+async function processCampaigns() {
+  if (campaignsProcessing) return;
+  campaignsProcessing = true;
+
+  try {
+    const busySessions = new Set();
+
+    for (const campaign of campaigns) {
+      if (campaign.status !== 'running' || busySessions.has(campaign.sessionId)) continue;
+
+      const session = getSession(campaign.sessionId);
+      if (!session) {
+        campaign.status = 'failed';
+        campaign.lastError = `Session "${campaign.sessionId}" no longer exists`;
+        campaign.updatedAt = new Date().toISOString();
+        saveCampaign(campaign);
+        continue;
+      }
+      if (!session.isReady || !session.client || Date.parse(campaign.nextSendAt) > Date.now()) continue;
+      busySessions.add(campaign.sessionId);
+
+      // Opted-out recipients are skipped without using a send slot
+      const changed = [];
+      let index = campaign.recipients.findIndex(r => r.status === 'pending');
+      while (index !== -1 && isOptedOut(campaign.recipients[index].chatId)) {
+        campaign.recipients[index].status = 'opted_out';
+        changed.push(index);
+        index = campaign.recipients.findIndex(r => r.status === 'pending');
+      }
+      const recipient = index === -1 ? null : campaign.recipients[index];
+
+      // Held back by the send governor - the recipient keeps its place
+      const limited = recipient && await reserveSendSlot(session, recipient.chatId, 'campaign');
+      if (limited) {
+        campaign.nextSendAt = new Date(Date.now() + limited.retryAfterMs).toISOString();
+      } else if (recipient) {
+        const { text } = renderTemplate(campaign.template, {
+          ...campaign.variables,
+          phone: recipient.chatId.split('@')[0],
+          ...recipient.variables
+        });
+        recipient.status = 'sending';
+        recipient.attempts += 1;
+
+        try {
+          await humanizeSend(session, recipient.chatId, text);
+          const result = await session.client.sendMessage(recipient.chatId, text);
+          recipient.status = 'sent';
+          recipient.messageId = result.id._serialized;
+          recipient.error = null;
+          recipient.sentAt = new Date().toISOString();
+        } catch (error) {
+          recipient.error = error.message || String(error);
+          recordSendError(session, 'campaign', error);
+          recipient.status = recipient.attempts >= CAMPAIGN_MAX_ATTEMPTS ? 'failed' : 'pending';
+          log.warn(`⚠️ Campaign send failed ${campaign.id} ${recipient.chatId}: ${recipient.error}`, { sessionId: session.id });
+          if (isPuppeteerDetachedFrameError(error)) {
+            session.isReady = false;
+            session.lastDisconnectAt = new Date().toISOString();
+            writeStateFile();
+            scheduleReinit(session, 'campaign:detached_frame');
+          }
+        }
+
+        const intervalMs = 60000 / campaign.ratePerMinute;
+        const jitterMs = intervalMs * campaign.jitter * (Math.random() * 2 - 1);
+        campaign.nextSendAt = new Date(Date.now() + intervalMs + jitterMs).toISOString();
+        changed.push(index);
+      }
+
+      campaign.updatedAt = new Date().toISOString();
+      if (finishCampaignIfDone(campaign)) {
+        saveCampaign(campaign);
+      } else if (changed.length) {
+        recordCampaignProgress(campaign, changed);
+      }
+    }
+  } finally {
+    campaignsProcessing = false;
+  }
+}
+
+loadCampaigns();
+
+// Scheduled messages
+// Messages can be scheduled for a future time in any IANA time zone, with an
+// optional RRULE-style recurrence. Schedules are saved to disk and wait out
+// reconnects; runs missed while the process or session was down follow the
+// catch-up policy: "send" (once, if within the window) or "skip".
+const SCHEDULED_PATH = process.env.SCHEDULED_PATH || path.join(path.dirname(STATE_PATH), '.wwebjs_scheduled.json');
+const SCHEDULE_DEFAULT_TIMEZONE = process.env.SCHEDULE_DEFAULT_TIMEZONE || 'UTC';
+const SCHEDULE_CATCH_UP = process.env.SCHEDULE_CATCH_UP === 'skip' ? 'skip' : 'send';
+const SCHEDULE_CATCH_UP_WINDOW_MS = (parseInt(process.env.SCHEDULE_CATCH_UP_WINDOW_MINUTES, 10) || 60) * 60 * 1000;
+// Runs later than this count as missed and go through the catch-up policy
+const SCHEDULE_LATE_GRACE_MS = 60 * 1000;
+const SCHEDULE_MAX_ATTEMPTS = 3;
+const SCHEDULE_HISTORY_LIMIT = 20;
+const RRULE_FREQS = ['HOURLY', 'DAILY', 'WEEKLY', 'MONTHLY'];
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+let scheduledMessages = [];
+let scheduledProcessing = false;
+
+function loadScheduled() {
+  try {
+    if (!fs.existsSync(SCHEDULED_PATH)) return;
+    const raw = JSON.parse(fs.readFileSync(SCHEDULED_PATH, 'utf8'));
+    scheduledMessages = Array.isArray(raw.schedules) ? raw.schedules : [];
+
+    // A run left in "sending" was interrupted by a crash - try it again
+    scheduledMessages.forEach((schedule) => {
+      if (schedule.status === 'sending') schedule.status = 'scheduled';
+      // Saved before missed runs were counted towards COUNT
+      if (schedule.occurrences === undefined) schedule.occurrences = schedule.runCount || 0;
+    });
+    const active = scheduledMessages.filter(s => s.status === 'scheduled').length;
+    log.info(`⏰ Scheduled messages loaded: ${scheduledMessages.length} schedule(s), ${active} active`);
+  } catch (err) {
+    log.error('❌ Failed to load scheduled messages', { error: err.message });
+  }
+}
+
+function saveScheduled() {
+  try {
+    writeFileAtomic(SCHEDULED_PATH, JSON.stringify({ schedules: scheduledMessages }));
+  } catch (err) {
+    log.error('❌ Failed to save scheduled messages', { error: err.message });
+  }
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Wall-clock fields of an instant in a time zone
+function toWallTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const get = type => parseInt(parts.find(p => p.type === type).value, 10);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+// The instant a wall-clock time happens in a time zone. Day/month overflow
+// is allowed (day 32 rolls into the next month), which keeps date math simple.
+function fromWallTime(wall, timeZone) {
+  const naive = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second || 0);
+  const offsetAt = (ms) => {
+    const local = toWallTime(new Date(ms), timeZone);
+    return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - Math.floor(ms / 1000) * 1000;
+  };
+  const guess = naive - offsetAt(naive);
+  // Re-check across a DST change. Times inside a DST gap don't exist and
+  // keep the first guess, which moves them forward by the gap.
+  const adjusted = naive - offsetAt(guess);
+  return new Date(offsetAt(adjusted) === naive - adjusted ? adjusted : guess);
+}
+
+// "2024-05-01T09:00:00Z" / "+08:00" are absolute; "2024-05-01T09:00" is
+// local time in `timeZone`
+function parseSendAt(value, timeZone) {
+  const text = String(value || '').trim();
+  const local = text.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/);
+  const date = local
+    ? fromWallTime({ year: +local[1], month: +local[2], day: +local[3], hour: +local[4], minute: +local[5], second: +(local[6] || 0) }, timeZone)
+    : new Date(text);
+  if (!text || isNaN(date.getTime())) {
+    throw httpError(400, '"sendAt" must be an ISO date, e.g. 2024-05-01T09:00 (in "timezone") or 2024-05-01T01:00:00Z');
+  }
+  return date;
+}
+
+// Supported subset of RFC 5545 RRULE: FREQ=HOURLY|DAILY|WEEKLY|MONTHLY with
+// INTERVAL, BYDAY (weekly only), COUNT and UNTIL
+function parseRecurrence(rule) {
+  const text = String(rule).trim().replace(/^RRULE:/i, '');
+  const fields = {};
+  for (const part of text.split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    if (!key || !value) throw httpError(400, `Invalid recurrence part "${part}"`);
+    fields[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  const unknown = Object.keys(fields).filter(key => !['FREQ', 'INTERVAL', 'BYDAY', 'COUNT', 'UNTIL'].includes(key));
+  if (unknown.length) throw httpError(400, `Unsupported recurrence field(s): ${unknown.join(', ')}`);
+  if (!RRULE_FREQS.includes(fields.FREQ)) throw httpError(400, `Recurrence FREQ must be one of ${RRULE_FREQS.join(', ')}`);
+
+  const interval = fields.INTERVAL ? parseInt(fields.INTERVAL, 10) : 1;
+  if (!(interval >= 1)) throw httpError(400, 'Recurrence INTERVAL must be a positive number');
+
+  let byDay = null;
+  if (fields.BYDAY) {
+    byDay = fields.BYDAY.split(',');
+    if (fields.FREQ !== 'WEEKLY' || byDay.some(day => !RRULE_DAYS.includes(day))) {
+      throw httpError(400, 'Recurrence BYDAY is only supported with FREQ=WEEKLY, using MO,TU,WE,TH,FR,SA,SU');
+    }
+  }
+
+  const count = fields.COUNT ? parseInt(fields.COUNT, 10) : null;
+  if (fields.COUNT && !(count >= 1)) throw httpError(400, 'Recurrence COUNT must be a positive number');
+
+  let until = null;
+  if (fields.UNTIL) {
+    const compact = fields.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+    until = compact
+      ? new Date(Date.UTC(+compact[1], +compact[2] - 1, +compact[3], +(compact[4] || 23), +(compact[5] || 59), +(compact[6] || 59)))
+      : new Date(fields.UNTIL);
+    if (isNaN(until.getTime())) throw httpError(400, 'Recurrence UNTIL must be a date (20240131T235959Z)');
+  }
+
+  return { freq: fields.FREQ, interval, byDay, count, until };
+}
+
+// Day number (days since epoch) of a wall-clock date
+function wallDayNumber(wall) {
+  return Math.floor(Date.UTC(wall.year, wall.month - 1, wall.day) / DAY_MS);
+}
+
+// The occurrence after `current`. Daily and longer rules keep the anchor's
+// local time of day, so 09:00 stays 09:00 across DST changes.
+function stepOccurrence(rule, current, schedule) {
+  if (rule.freq === 'HOURLY') {
+    return new Date(current.getTime() + rule.interval * 60 * 60 * 1000);
+  }
+
+  const anchor = schedule.anchor;
+  const wall = toWallTime(current, schedule.timezone);
+  const at = fields => fromWallTime({ ...fields, hour: anchor.hour, minute: anchor.minute, second: anchor.second }, schedule.timezone);
+
+  if (rule.freq === 'DAILY') {
+    return at({ year: wall.year, month: wall.month, day: wall.day + rule.interval });
+  }
+
+  if (rule.freq === 'WEEKLY' && !rule.byDay) {
+    return at({ year: wall.year, month: wall.month, day: wall.day + 7 * rule.interval });
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    // Weeks start on Monday; only every INTERVAL-th week counts
+    const anchorDay = wallDayNumber(anchor);
+    const anchorWeek = anchorDay - (new Date(anchorDay * DAY_MS).getUTCDay() + 6) % 7;
+    for (let offset = 1; offset <= 7 * rule.interval + 7; offset++) {
+      const dayNumber = wallDayNumber(wall) + offset;
+      const weekday = new Date(dayNumber * DAY_MS).getUTCDay();
+      const weekIndex = Math.floor((dayNumber - anchorWeek) / 7);
+      if (rule.byDay.includes(RRULE_DAYS[weekday]) && weekIndex % rule.interval === 0) {
+        return at({ year: wall.year, month: wall.month, day: wall.day + offset });
+      }
+    }
+  }
+
+  // MONTHLY - months without the anchor's day (e.g. the 31st) are skipped
+  for (let step = 1; step <= 48; step++) {
+    const month = wall.month + rule.interval * step;
+    const candidate = new Date(Date.UTC(wall.year, month - 1, anchor.day));
+    if (candidate.getUTCDate() === anchor.day) {
+      return at({ year: wall.year, month, day: anchor.day });
+    }
+  }
+  return null;
+}
+
+// First occurrence strictly after `after`, or null when the rule has ended.
+// COUNT covers every occurrence - sent, missed or failed - and the one at
+// sendAt is number `occurrences + 1`.
+function nextOccurrence(schedule, after) {
+  if (!schedule.recurrence) return null;
+  const rule = parseRecurrence(schedule.recurrence);
+  if (rule.count && schedule.occurrences + 1 >= rule.count) return null;
+
+  let current = new Date(schedule.sendAt);
+  // Bounded so a bad rule can never spin forever
+  for (let i = 0; i < 100000 && current; i++) {
+    current = stepOccurrence(rule, current, schedule);
+    if (current && rule.until && current > rule.until) return null;
+    if (current && current > after) return current;
+  }
+  return null;
+}
+
+function recordScheduledRun(schedule, entry) {
+  schedule.history.push({ scheduledFor: schedule.sendAt, ...entry, at: new Date().toISOString() });
+  if (schedule.history.length > SCHEDULE_HISTORY_LIMIT) schedule.history.shift();
+}
+
+// Move to the next occurrence, or finish the schedule
+function advanceSchedule(schedule, finalStatus) {
+  const next = nextOccurrence(schedule, new Date());
+  schedule.occurrences += 1;
+  schedule.attempts = 0;
+  schedule.nextAttemptAt = null;
+  if (next) {
+    schedule.sendAt = next.toISOString();
+    schedule.status = 'scheduled';
+  } else {
+    schedule.status = finalStatus;
+  }
+}
+
+function publicSchedule(schedule) {
+  return {
+    id: schedule.id,
+    sessionId: schedule.sessionId,
+    to: schedule.to,
+    message: schedule.message,
+    status: schedule.status,
+    sendAt: schedule.sendAt,
+    localSendAt: schedule.status === 'scheduled' ? formatWallTime(toWallTime(new Date(schedule.sendAt), schedule.timezone)) : null,
+    timezone: schedule.timezone,
+    recurrence: schedule.recurrence,
+    catchUp: schedule.catchUp,
+    runCount: schedule.runCount,
+    occurrences: schedule.occurrences,
+    lastRunAt: schedule.lastRunAt,
+    lastMessageId: schedule.lastMessageId,
+    lastError: schedule.lastError,
+    history: schedule.history,
+    createdAt: schedule.createdAt,
+    updatedAt: schedule.updatedAt
+  };
+}
+
+function formatWallTime(wall) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${wall.year}-${pad(wall.month)}-${pad(wall.day)}T${pad(wall.hour)}:${pad(wall.minute)}:${pad(wall.second)}`;
+}
+
+// Validate create/update input and apply it to `schedule`. Throws httpError.
+function applyScheduleInput(schedule, body, isCreate) {
+  if (isCreate || body.timezone !== undefined) {
+    const timeZone = body.timezone === undefined ? SCHEDULE_DEFAULT_TIMEZONE : String(body.timezone);
+    if (!isValidTimeZone(timeZone)) throw httpError(400, `Unknown timezone "${timeZone}"`);
+    schedule.timezone = timeZone;
+  }
+  if (isCreate || body.to !== undefined) {
+    if (!body.to) throw httpError(400, 'Phone number ("to") is required');
+    schedule.to = resolveRecipient(body.to);
+  }
+  if (isCreate || body.message !== undefined) {
+    if (typeof body.message !== 'string' || !body.message.trim()) throw httpError(400, 'Message ("message") is required');
+    schedule.message = body.message;
+  }
+  if (body.recurrence !== undefined) {
+    schedule.recurrence = body.recurrence ? String(body.recurrence).trim().replace(/^RRULE:/i, '').toUpperCase() : null;
+    if (schedule.recurrence) parseRecurrence(schedule.recurrence);
+  }
+  if (body.catchUp !== undefined) {
+    if (body.catchUp !== null && !['send', 'skip'].includes(body.catchUp)) throw httpError(400, '"catchUp" must be "send" or "skip"');
+    schedule.catchUp = body.catchUp;
+  }
+  if (isCreate || body.sendAt !== undefined || body.timezone !== undefined) {
+    const sendAt = body.sendAt !== undefined ? parseSendAt(body.sendAt, schedule.timezone) : new Date(schedule.sendAt);
+    if (body.sendAt !== undefined && sendAt.getTime() < Date.now() - SCHEDULE_LATE_GRACE_MS) {
+      throw httpError(400, '"sendAt" is in the past');
+    }
+    schedule.sendAt = sendAt.toISOString();
+    // Recurrences repeat at the local time of day of the first run
+    schedule.anchor = toWallTime(sendAt, schedule.timezone);
+  }
+}
+
+// Send due schedules. Schedules for sessions that are not ready wait; once
+// the session is back, late runs go through the catch-up policy.
+async function processScheduled() {
+  if (scheduledProcessing) return;
+  scheduledProcessing = true;
+
+  try {
+    const now = Date.now();
+    const due = scheduledMessages.filter(s => s.status === 'scheduled' &&
+      Date.parse(s.nextAttemptAt || s.sendAt) <= now);
+
+    for (const schedule of due) {
+      const session = getSession(schedule.sessionId);
+      if (!session) {
+        schedule.status = 'failed';
+        schedule.lastError = `Session "${schedule.sessionId}" no longer exists`;
+        schedule.updatedAt = new Date().toISOString();
+        saveScheduled();
+        continue;
+      }
+      if (!session.isReady || !session.client) continue;
+
+      // A run already picked up - retried, or held back by the send governor -
+      // is late on purpose and skips the missed-run and lateness checks
+      const pickedUp = Boolean(schedule.attempts || schedule.nextAttemptAt);
+
+      // Only the latest missed run of a recurring schedule can be caught up
+      if (!pickedUp && schedule.recurrence) {
+        const firstMissed = schedule.sendAt;
+        let missedRuns = 0;
+        let next;
+        while ((next = nextOccurrence(schedule, new Date(schedule.sendAt))) && next.getTime() <= Date.now()) {
+          schedule.sendAt = next.toISOString();
+          schedule.occurrences += 1;
+          missedRuns += 1;
+        }
+        if (missedRuns) {
+          recordScheduledRun(schedule, { scheduledFor: firstMissed, status: 'missed', missedRuns });
+        }
+      }
+
+      const lateMs = Date.now() - Date.parse(schedule.sendAt);
+      if (!pickedUp && lateMs > SCHEDULE_LATE_GRACE_MS) {
+        const policy = schedule.catchUp || SCHEDULE_CATCH_UP;
+        if (policy === 'skip' || lateMs > SCHEDULE_CATCH_UP_WINDOW_MS) {
+          log.info(`⏭️  Scheduled message missed ${schedule.id} (${Math.round(lateMs / 1000)}s late, catch-up: ${policy})`, { sessionId: session.id });
+          recordScheduledRun(schedule, { status: 'missed', lateSeconds: Math.round(lateMs / 1000) });
+          advanceSchedule(schedule, 'missed');
+          schedule.updatedAt = new Date().toISOString();
+          saveScheduled();
+          continue;
+        }
+      }
+
+      // Held back by the send governor - retries keep the original run time
+      const limited = await reserveSendSlot(session, schedule.to, 'scheduled');
+      if (limited) {
+        schedule.nextAttemptAt = new Date(Date.now() + limited.retryAfterMs).toISOString();
+        continue;
+      }
+
+      schedule.status = 'sending';
+      schedule.attempts = (schedule.attempts || 0) + 1;
+      saveScheduled();
+
+      try {
+        await humanizeSend(session, schedule.to, schedule.message);
+        const result = await session.client.sendMessage(schedule.to, schedule.message);
+        schedule.runCount += 1;
+        schedule.lastRunAt = new Date().toISOString();
+        schedule.lastMessageId = result.id._serialized;
+        schedule.lastError = null;
+        recordScheduledRun(schedule, {
+          status: 'sent',
+          messageId: schedule.lastMessageId,
+          lateSeconds: lateMs > SCHEDULE_LATE_GRACE_MS ? Math.round(lateMs / 1000) : 0
+        });
+        log.info(`⏰ Scheduled message sent ${schedule.id} id=${schedule.lastMessageId}`, { sessionId: session.id });
+        // Any other runs missed while we were down collapse into this one
+        advanceSchedule(schedule, 'completed');
+      } catch (error) {
+        schedule.lastError = error.message || String(error);
+        recordSendError(session, 'scheduled', error);
+        if (schedule.attempts >= SCHEDULE_MAX_ATTEMPTS) {
+          log.error(`❌ Scheduled message failed ${schedule.id}: ${schedule.lastError}`, { sessionId: session.id });
+          recordScheduledRun(schedule, { status: 'failed', error: schedule.lastError });
+          advanceSchedule(schedule, 'failed');
+        } else {
+          const delayMs = 5000 * Math.pow(2, schedule.attempts - 1);
+          schedule.status = 'scheduled';
+          schedule.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+          log.warn(`⚠️ Scheduled message attempt ${schedule.attempts} failed ${schedule.id}, retry in ${delayMs}ms: ${schedule.lastError}`, { sessionId: session.id });
+        }
+        if (isPuppeteerDetachedFrameError(error)) {
+          session.isReady = false;
+          session.lastDisconnectAt = new Date().toISOString();
+          writeStateFile();
+          scheduleReinit(session, 'scheduled:detached_frame');
+        }
+      }
+      schedule.updatedAt = new Date().toISOString();
+      saveScheduled();
+    }
+  } finally {
+    scheduledProcessing = false;
+  }
+}
+
+loadScheduled();
+
+// Auto-reply rules
+// Rules are checked against every incoming message in message_create. A rule
+// matches when all of its conditions hold (keywords/regex, chat type, sender
+// allowlist, time window...) and then runs its actions: reply, forward, tag
+// the chat or notify a webhook. Cooldowns are per rule and per sender.
+// Only read to import rules saved before the config store
+const RULES_PATH = process.env.RULES_PATH || path.join(path.dirname(STATE_PATH), '.wwebjs_rules.json');
+const RULE_ACTION_TYPES = ['reply', 'forward', 'tag', 'webhook'];
+const RULE_KEYWORD_MODES = ['word', 'contains', 'exact', 'startsWith'];
+const RULE_CHAT_TYPES = ['direct', 'group', 'any'];
+let rules = [];
+let chatTags = {};
+// Last time each rule fired for a sender: "<ruleId>:<chatId>" -> ms
+const ruleCooldowns = new Map();
+// Match counters change on every matching message - they are saved on a
+// timer instead of rewriting the config each time
+const RULE_STATS_SAVE_INTERVAL_MS = 60 * 1000;
+let ruleStatsDirty = false;
+
+function loadRules() {
+  rules = getConfig('rules', []);
+  chatTags = getConfig('chatTags', {});
+  if (rules.length) {
+    log.info(`🤖 Auto-reply rules loaded: ${rules.length} rule(s), ${rules.filter(r => r.enabled).length} enabled`);
+  }
+}
+
+function saveRules() {
+  ruleStatsDirty = false;
+  setConfig({ rules, chatTags });
+}
+
+function sortRules() {
+  rules.sort((a, b) => a.priority - b.priority || Date.parse(a.createdAt) - Date.parse(b.createdAt));
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function keywordMatches(keyword, body, mode) {
+  const text = body.toLowerCase();
+  const word = keyword.toLowerCase();
+  if (mode === 'exact') return text.trim() === word;
+  if (mode === 'startsWith') return text.trimStart().startsWith(word);
+  if (mode === 'contains') return text.includes(word);
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(word)}($|[^\\p{L}\\p{N}])`, 'u').test(text);
+}
+
+function parseClockTime(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// Inside [start, end) on one of `days`, in the window's time zone. Windows
+// may wrap midnight (22:00-06:00). `outside: true` inverts the result, which
+// is how "outside office hours" replies are written.
+function isInTimeWindow(window, date) {
+  const wall = toWallTime(date, window.timezone);
+  const day = RRULE_DAYS[new Date(Date.UTC(wall.year, wall.month - 1, wall.day)).getUTCDay()];
+  const minutes = wall.hour * 60 + wall.minute;
+  const start = parseClockTime(window.start || '00:00');
+  const end = parseClockTime(window.end || '24:00') ?? 24 * 60;
+
+  let inside;
+  if (start <= end) {
+    inside = minutes >= start && minutes < end && (!window.days || window.days.includes(day));
+  } else {
+    // Overnight - the part after midnight belongs to the previous day
+    const previousDay = RRULE_DAYS[(RRULE_DAYS.indexOf(day) + 6) % 7];
+    inside = (minutes >= start && (!window.days || window.days.includes(day))) ||
+      (minutes < end && (!window.days || window.days.includes(previousDay)));
+  }
+  return window.outside ? !inside : inside;
+}
+
+// Check one rule against a message. Returns the first failed condition as
+// `reason` so the dry-run endpoint can explain a miss.
+function evaluateRule(rule, message, now) {
+  const c = rule.conditions;
+  const body = message.body || '';
+  const fail = reason => ({ matched: false, reason });
+
+  if (!rule.enabled) return fail('Rule is disabled');
+  if (c.sessionIds && !c.sessionIds.includes(message.sessionId)) return fail('Session not in sessionIds');
+  if (c.chatType === 'direct' && message.isGroup) return fail('Rule only applies to direct chats');
+  if (c.chatType === 'group' && !message.isGroup) return fail('Rule only applies to groups');
+  if (c.senders && !c.senders.includes(message.sender)) return fail('Sender not in allowlist');
+  if (c.messageTypes && !c.messageTypes.includes(message.type)) return fail(`Message type "${message.type}" not in messageTypes`);
+  if (c.keywords && !c.keywords.some(k => keywordMatches(k, body, c.keywordMatch))) return fail('No keyword matched');
+  if (c.regex && !new RegExp(c.regex, 'i').test(body)) return fail('Regex did not match');
+  if (c.timeWindow && !isInTimeWindow(c.timeWindow, now)) return fail(c.timeWindow.outside ? 'Inside the time window' : 'Outside the time window');
+
+  const lastFired = ruleCooldowns.get(`${rule.id}:${message.chatId}`);
+  if (rule.cooldownSeconds && lastFired && now.getTime() - lastFired < rule.cooldownSeconds * 1000) {
+    return fail(`Cooldown active for this sender (${rule.cooldownSeconds}s)`);
+  }
+  return { matched: true, reason: null };
+}
+
+// Rules in priority order; stops after the first match unless the rule has
+// stopOnMatch: false
+function selectRules(message, now) {
+  const results = [];
+  for (const rule of rules) {
+    const result = evaluateRule(rule, message, now);
+    results.push({ rule, ...result });
+    if (result.matched && rule.stopOnMatch) break;
+  }
+  return results;
+}
+
+function renderRuleText(text, message) {
+  return renderTemplate(text, {
+    name: message.senderName,
+    phone: message.sender.split('@')[0],
+    body: message.body
+  }).text;
+}
+
+async function runRuleAction(session, msg, message, rule, action) {
+  const client = session.client;
+  if (action.type === 'reply') {
+    const text = action.text ? renderRuleText(action.text, message) : undefined;
+    const options = action.quote ? { quotedMessageId: msg.id._serialized } : {};
+    if (action.mediaUrl) {
+      const { buffer, mimetype, filename } = await downloadMedia(action.mediaUrl);
+      const media = new MessageMedia(mimetype || 'application/octet-stream', buffer.toString('base64'), filename, buffer.length);
+      await governedSend(session, message.chatId, 'rule', text, () => client.sendMessage(message.chatId, media, { ...options, caption: text }));
+    } else {
+      await governedSend(session, message.chatId, 'rule', text, () => client.sendMessage(message.chatId, text, options));
+    }
+  } else if (action.type === 'forward') {
+    await governedSend(session, action.to, 'rule', null, () => msg.forward(action.to));
+  } else if (action.type === 'webhook') {
+    const payload = {
+      event: 'rule.matched',
+      sessionId: session.id,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      timestamp: new Date().toISOString(),
+      tags: chatTags[message.chatId] || [],
+      message: {
+        id: msg.id?._serialized || null,
+        chatId: message.chatId,
+        from: message.sender,
+        fromName: message.senderName,
+        body: message.body,
+        type: message.type,
+        isGroup: message.isGroup,
+        timestamp: msg.timestamp
+      }
+    };
+    if (!action.webhookId) {
+      emitWebhookEvent('rule.matched', payload, { sessionId: session.id, chatId: message.chatId, isGroup: message.isGroup, type: message.type, body: message.body });
+      return;
+    }
+    // A specific subscription gets the event even if it doesn't list rule.matched.
+    // Like emitWebhookEvent, nothing is queued for a disabled or deleted one -
+    // the delivery would sit pending forever.
+    const target = webhooks.find(w => w.id === action.webhookId);
+    if (!target || !target.enabled) {
+      log.warn(`⚠️ Rule webhook skipped "${rule.name || rule.id}": webhook ${action.webhookId} is ${target ? 'disabled' : 'deleted'}`, { sessionId: session.id });
+      return;
+    }
+    enqueueWebhookDelivery(target, payload);
+  }
+}
+
+// Returns true when the chat did not have the tag yet
+function applyChatTag(chatId, tag) {
+  const tags = chatTags[chatId] || [];
+  if (tags.includes(tag)) return false;
+  chatTags[chatId] = [...tags, tag];
+  return true;
+}
+
+// Called from message_create for incoming messages. Matching, cooldowns and
+// tags are applied right away (so the webhook payload carries the tags);
+// replies and forwards run in the background.
+function runAutoReplyRules(session, msg, chatId, isGroup) {
+  if (!rules.length || chatId === 'status@broadcast') return;
+
+  const message = {
+    sessionId: session.id,
+    chatId,
+    isGroup,
+    sender: isGroup ? (msg.author || msg.from) : msg.from,
+    senderName: msg._data?.notifyName || null,
+    body: msg.body || '',
+    type: msg.type
+  };
+  const now = new Date();
+  const matched = selectRules(message, now).filter(r => r.matched).map(r => r.rule);
+  if (!matched.length) return;
+
+  let tagged = false;
+  for (const rule of matched) {
+    ruleCooldowns.set(`${rule.id}:${chatId}`, now.getTime());
+    rule.matchCount = (rule.matchCount || 0) + 1;
+    rule.lastMatchedAt = now.toISOString();
+    for (const action of rule.actions) {
+      if (action.type === 'tag' && applyChatTag(chatId, action.tag)) tagged = true;
+    }
+    log.info(`🤖 Rule matched "${rule.name || rule.id}" chat=${chatId}`, { sessionId: session.id });
+  }
+  // New tags are saved right away, counters with the next timed save
+  if (tagged) {
+    saveRules();
+  } else {
+    ruleStatsDirty = true;
+  }
+
+  (async () => {
+    for (const rule of matched) {
+      for (const action of rule.actions.filter(a => a.type !== 'tag')) {
+        try {
+          await runRuleAction(session, msg, message, rule, action);
+        } catch (error) {
+          recordSendError(session, 'rule', error);
+          log.warn(`⚠️ Rule action ${action.type} failed "${rule.name || rule.id}": ${error.message}`, { sessionId: session.id });
+        }
+      }
+    }
+  })();
+}
+
+setInterval(() => {
+  if (ruleStatsDirty) saveRules();
+}, RULE_STATS_SAVE_INTERVAL_MS);
+
+// Validate a create/update body. Returns { error } or { fields }.
+function parseRuleInput(body, partial) {
+  const fields = {};
+  const { name, enabled, priority, stopOnMatch, cooldownSeconds, conditions, actions } = body || {};
+
+  if (name !== undefined) fields.name = name ? String(name) : null;
+  if (enabled !== undefined) fields.enabled = !!enabled;
+  if (stopOnMatch !== undefined) fields.stopOnMatch = !!stopOnMatch;
+  if (priority !== undefined) {
+    if (!Number.isFinite(Number(priority))) return { error: '"priority" must be a number' };
+    fields.priority = Number(priority);
+  }
+  if (cooldownSeconds !== undefined) {
+    if (!(Number(cooldownSeconds) >= 0)) return { error: '"cooldownSeconds" must be 0 or more' };
+    fields.cooldownSeconds = Number(cooldownSeconds);
+  }
+
+  if (conditions !== undefined || !partial) {
+    if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+      return { error: '"conditions" must be an object' };
+    }
+    const clean = { chatType: 'direct', keywordMatch: 'word' };
+    if (conditions.chatType !== undefined) {
+      if (!RULE_CHAT_TYPES.includes(conditions.chatType)) return { error: `"conditions.chatType" must be one of: ${RULE_CHAT_TYPES.join(', ')}` };
+      clean.chatType = conditions.chatType;
+    }
+    if (conditions.keywordMatch !== undefined) {
+      if (!RULE_KEYWORD_MODES.includes(conditions.keywordMatch)) return { error: `"conditions.keywordMatch" must be one of: ${RULE_KEYWORD_MODES.join(', ')}` };
+      clean.keywordMatch = conditions.keywordMatch;
+    }
+    for (const key of ['keywords', 'senders', 'messageTypes', 'sessionIds']) {
+      if (conditions[key] !== undefined && conditions[key] !== null) {
+        if (!Array.isArray(conditions[key]) || !conditions[key].length || conditions[key].some(v => typeof v !== 'string' || !v.trim())) {
+          return { error: `"conditions.${key}" must be a non-empty array of strings` };
+        }
+        try {
+          clean[key] = key === 'senders' ? conditions[key].map(sender => resolveRecipient(sender, { groups: false })) : conditions[key];
+        } catch (error) {
+          return { error: error.message };
+        }
+      }
+    }
+    if (conditions.regex) {
+      try {
+        new RegExp(conditions.regex, 'i');
+      } catch (err) {
+        return { error: `Invalid "conditions.regex": ${err.message}` };
+      }
+      clean.regex = String(conditions.regex);
+    }
+    if (conditions.timeWindow) {
+      const window = conditions.timeWindow;
+      const timezone = window.timezone || SCHEDULE_DEFAULT_TIMEZONE;
+      if (!isValidTimeZone(timezone)) return { error: `Unknown timezone "${timezone}"` };
+      if (window.start !== undefined && parseClockTime(window.start) === null) return { error: '"timeWindow.start" must be HH:MM' };
+      if (window.end !== undefined && window.end !== '24:00' && parseClockTime(window.end) === null) return { error: '"timeWindow.end" must be HH:MM' };
+      if (window.days !== undefined && (!Array.isArray(window.days) || window.days.some(d => !RRULE_DAYS.includes(String(d).toUpperCase())))) {
+        return { error: '"timeWindow.days" must be an array of MO, TU, WE, TH, FR, SA, SU' };
+      }
+      clean.timeWindow = {
+        timezone,
+        start: window.start || '00:00',
+        end: window.end || '24:00',
+        days: window.days ? window.days.map(d => String(d).toUpperCase()) : null,
+        outside: window.outside === true
+      };
+    }
+    fields.conditions = clean;
+  }
+
+  if (actions !== undefined || !partial) {
+    if (!Array.isArray(actions) || !actions.length) {
+      return { error: `"actions" must be a non-empty array of: ${RULE_ACTION_TYPES.join(', ')}` };
+    }
+    const clean = [];
+    for (const action of actions) {
+      if (!action || !RULE_ACTION_TYPES.includes(action.type)) {
+        return { error: `Unknown action type "${action && action.type}"` };
+      }
+      if (action.type === 'reply') {
+        if (!action.text && !action.mediaUrl) return { error: 'A reply action needs "text" or "mediaUrl"' };
+        if (action.mediaUrl) {
+          try {
+            new URL(action.mediaUrl);
+          } catch (error) {
+            return { error: 'Invalid reply "mediaUrl"' };
+          }
+        }
+        clean.push({ type: 'reply', text: action.text ? String(action.text) : null, mediaUrl: action.mediaUrl || null, quote: action.quote === true });
+      } else if (action.type === 'forward') {
+        if (!action.to) return { error: 'A forward action needs "to"' };
+        try {
+          clean.push({ type: 'forward', to: resolveRecipient(action.to) });
+        } catch (error) {
+          return { error: error.message };
+        }
+      } else if (action.type === 'tag') {
+        if (typeof action.tag !== 'string' || !action.tag.trim()) return { error: 'A tag action needs "tag"' };
+        clean.push({ type: 'tag', tag: action.tag.trim() });
+      } else {
+        if (action.webhookId && !webhooks.some(w => w.id === action.webhookId)) {
+          return { error: `Webhook "${action.webhookId}" not found` };
+        }
+        clean.push({ type: 'webhook', webhookId: action.webhookId || null });
+      }
+    }
+    fields.actions = clean;
+  }
+
+  return { fields };
+}
+
+// API Routes
+app.get('/api', (req, res) => {
+  res.json({
+    name: 'WhatsApp API',
+    version: '1.0.0',
+    description: 'Send WhatsApp messages via API',
     endpoints: {
-      'GET /api/status': 'Check WhatsApp connection status',
-      'GET /api/qr': 'Get QR code for authentication',
+      'GET /api/status': 'Check WhatsApp connection status (?sessionId=)',
+      'GET /api/qr': 'Get QR code for authentication (?sessionId=)',
+      'POST /api/pairing-code': 'Get a code to log in with a phone number instead of the QR code',
       'GET /api/health': 'Deep health check (forces reinit on detached frame)',
-      'POST /api/send': 'Send WhatsApp message',
+      'GET /metrics': 'Prometheus metrics (read scope unless METRICS_PUBLIC=true)',
+      'POST /api/send': 'Send a message (type: text, location, contact, poll) or react to, edit or delete one (queue: true to queue it, Idempotency-Key header for safe retries)',
+      'POST /api/send-media': 'Send image, document, audio or video (base64, upload or URL)',
+      'GET /api/send-limits': 'Send rate limits and current usage (?sessionId=)',
+      'GET /api/media/:id': 'Download incoming media (signed link from webhook)',
+      'GET /api/messages': 'Search message history (?chatId, from, to, direction, q, cursor)',
+      'GET /api/messages/:jobId': 'Get status of a queued message',
       'POST /api/check-user': 'Check if phone number is WhatsApp user and get profile info',
+      'POST /api/check-user/bulk': 'Check a list or CSV of numbers in the background (rate limited, cached)',
+      'GET /api/check-user/bulk': 'List bulk check jobs',
+      'GET /api/check-user/bulk/:jobId': 'Bulk check progress',
+      'GET /api/check-user/bulk/:jobId/results': 'Bulk check results (?format=csv)',
+      'DELETE /api/check-user/bulk/:jobId': 'Cancel a bulk check',
+      'GET /api/chats': 'List chats with unread counts and flags (?archived, isGroup, unread, q)',
+      'GET /api/chats/:chatId': 'Get one chat',
+      'GET /api/chats/:chatId/messages': 'Fetch chat messages from WhatsApp (?limit, before)',
+      'POST /api/chats/:chatId/:action': 'read, unread, archive, unarchive, pin, unpin, mute or unmute a chat',
+      'GET /api/contacts': 'List contacts (?q search)',
+      'GET /api/groups': 'List groups',
+      'POST /api/groups': 'Create a group',
+      'POST /api/groups/join': 'Join a group by invite code or link',
+      'GET /api/groups/:groupId': 'Get a group with its participants',
+      'PATCH /api/groups/:groupId': 'Change subject, description or settings',
+      'POST /api/groups/:groupId/participants/:action': 'add, remove, promote or demote participants',
+      'GET /api/groups/:groupId/invite': 'Get the group invite link',
+      'POST /api/groups/:groupId/invite/revoke': 'Revoke and replace the invite link',
+      'POST /api/groups/:groupId/leave': 'Leave a group',
+      'GET /api/sessions': 'List WhatsApp sessions',
+      'POST /api/sessions': 'Create a new WhatsApp session',
+      'GET /api/sessions/:id': 'Get session status',
+      'GET /api/sessions/:id/qr': 'Get QR code for a session',
+      'POST /api/sessions/:id/pairing-code': 'Get a pairing code for a session',
+      'DELETE /api/sessions/:id': 'Log out and delete a session',
+      'POST /api/sessions/:id/backup': 'Download an encrypted backup of a session login',
+      'GET /api/sessions/:id/backups': 'List saved session snapshots',
+      'GET /api/sessions/:id/backups/:name': 'Download a session snapshot',
+      'POST /api/sessions/:id/restore': 'Restore a session login from a backup',
+      'POST /api/campaigns': 'Create a broadcast campaign (template + recipients)',
+      'GET /api/campaigns': 'List campaigns',
+      'GET /api/campaigns/:campaignId': 'Campaign progress',
+      'GET /api/campaigns/:campaignId/recipients': 'Per-recipient status (?status=)',
+      'POST /api/campaigns/:campaignId/:action': 'pause, resume or cancel a campaign',
+      'GET /api/opt-outs': 'List opted-out numbers and keywords',
+      'POST /api/opt-outs': 'Add numbers to the opt-out list',
+      'DELETE /api/opt-outs/:phone': 'Remove a number from the opt-out list (admin)',
+      'POST /api/scheduled': 'Schedule a message (sendAt, timezone, recurrence)',
+      'GET /api/scheduled': 'List scheduled messages (?status, sessionId)',
+      'GET /api/scheduled/:scheduleId': 'Get a scheduled message with its run history',
+      'PATCH /api/scheduled/:scheduleId': 'Update a scheduled message',
+      'DELETE /api/scheduled/:scheduleId': 'Cancel a scheduled message',
+      'GET /api/rules': 'List auto-reply rules',
+      'POST /api/rules': 'Create an auto-reply rule (conditions + actions, admin)',
+      'POST /api/rules/test': 'Dry-run rules against a sample message',
+      'GET /api/rules/:ruleId': 'Get a rule with its match count',
+      'PATCH /api/rules/:ruleId': 'Update a rule (admin)',
+      'DELETE /api/rules/:ruleId': 'Delete a rule (admin)',
       'GET /api/webhook': 'Get webhook configuration',
       'POST /api/webhook': 'Set webhook URL',
       'DELETE /api/webhook': 'Disable webhook',
+      'GET /api/webhooks': 'List webhook subscriptions',
+      'POST /api/webhooks': 'Create a webhook subscription (event types + filters)',
+      'GET /api/webhooks/:id': 'Get a webhook subscription',
+      'PATCH /api/webhooks/:id': 'Update a webhook subscription',
+      'DELETE /api/webhooks/:id': 'Delete a webhook subscription',
+      'POST /api/webhooks/:id/secret/rotate': 'Rotate a subscription signing secret',
+      'POST /api/webhooks/:id/test': 'Send a test event to a subscription',
+      'POST /api/webhook/secret/rotate': 'Rotate the webhook signing secret',
+      'GET /api/webhook/deliveries': 'List webhook deliveries (?status=pending|delivered|dead)',
+      'GET /api/webhook/deliveries/:id': 'Get a delivery with its attempt history',
+      'POST /api/webhook/deliveries/:id/redeliver': 'Redeliver one webhook event',
+      'GET /api/webhook/dead-letters': 'List events that exhausted their retries',
+      'POST /api/webhook/replay': 'Redeliver all events in a time range',
+      'POST /api/restart': 'Clear a session and require a new QR scan',
+      'GET /api/keys': 'List API keys (admin)',
+      'POST /api/keys': 'Create an API key (admin)',
+      'DELETE /api/keys/:id': 'Revoke an API key (admin)',
       'GET /api/docs': 'View API documentation'
     },
     documentation: '/api/docs'
   });
 });
 
-app.get('/api/status', async (req, res) => {
-  setNoCache(res);
-  const state = getEffectiveState();
-  
-  // Get actual client state if available
-  let actualState = null;
-  let isConnected = false;
-  if (client) {
-    try {
-      actualState = await client.getState();
-      isConnected = actualState === 'CONNECTED';
-    } catch (e) {
-      actualState = 'ERROR: ' + e.message;
-    }
+async function buildSessionStatus(session) {
+  const state = getEffectiveState(session);
+  
+  // Get actual client state if available
+  let actualState = null;
+  let isConnected = false;
+  if (session.client) {
+    try {
+      actualState = await session.client.getState();
+      isConnected = actualState === 'CONNECTED';
+    } catch (e) {
+      actualState = 'ERROR: ' + e.message;
+    }
+  }
+  
+  return {
+    sessionId: session.id,
+    ready: state.ready,
+    isConnected: isConnected,
+    actualState: actualState,
+    hasQR: state.hasQR,
+    pairing: getPairingStatus(session),
+    authenticated: !!state.lastAuthAt,
+    lastQrAt: state.lastQrAt,
+    lastReadyAt: state.lastReadyAt,
+    lastAuthAt: state.lastAuthAt,
+    lastDisconnectAt: state.lastDisconnectAt,
+    lastClientState: state.lastClientState,
+    lastReinitReason: state.lastReinitReason,
+    lastReinitAt: state.lastReinitAt,
+    reinitAttempts: state.reinitAttempts
+  };
+}
+
+async function sendQr(session, res) {
+  const state = getEffectiveState(session);
+  const qrValue = state.qr;
+  if (!qrValue) {
+    return res.json({ sessionId: session.id, qr: null });
+  }
+  
+  try {
+    const qrImage = await qrcode.toDataURL(qrValue);
+    res.json({ sessionId: session.id, qr: qrImage });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Pairing codes - log in by typing a code on the phone instead of scanning
+// the QR code. The code is tied to the phone number it was requested for.
+function recordPairingCode(session, code) {
+  const pairing = session.pairing;
+  if (!pairing || pairing.code === code) return;
+  if (pairing.code) {
+    pairing.regenerations++;
+    log.info('🔢 Pairing code regenerated', { sessionId: session.id, regenerations: pairing.regenerations });
+  }
+  pairing.code = code;
+  pairing.codeAt = new Date().toISOString();
+  pairing.expiresAt = new Date(Date.now() + PAIRING_CODE_INTERVAL_MS).toISOString();
+}
+
+function getPairingStatus(session) {
+  const pairing = session.pairing;
+  if (!pairing || !pairing.code) return null;
+  return {
+    phone: pairing.phone,
+    code: pairing.code,
+    requestedAt: pairing.requestedAt,
+    codeAt: pairing.codeAt,
+    expiresAt: pairing.expiresAt,
+    // WhatsApp normally sends a new code before this happens; an expired
+    // code means it stopped and a new one has to be requested
+    expired: Date.parse(pairing.expiresAt) <= Date.now(),
+    regenerations: pairing.regenerations
+  };
+}
+
+async function sendPairingCode(session, req, res) {
+  if (session.isReady) {
+    return res.status(409).json({ error: 'Session is already logged in' });
+  }
+  // The pairing flow needs the WhatsApp Web login screen, which is up once
+  // the first QR code has arrived
+  if (!session.client || !session.qrString) {
+    return res.status(409).json({ error: 'WhatsApp is still starting. Try again once /api/status shows hasQR' });
+  }
+
+  let phone;
+  try {
+    ({ phone } = normalizePhone(req.body && req.body.phone));
+  } catch (error) {
+    return res.status(error.status || 400).json(errorBody(error));
+  }
+
+  // Set before the request - the first "code" event fires while it runs
+  session.pairing = { phone, code: null, requestedAt: new Date().toISOString(), codeAt: null, expiresAt: null, regenerations: 0 };
+  try {
+    const code = await session.client.requestPairingCode(phone, true, PAIRING_CODE_INTERVAL_MS);
+    recordPairingCode(session, code);
+    log.info('🔢 Pairing code requested', { sessionId: session.id, phone });
+    res.json({
+      success: true,
+      sessionId: session.id,
+      ...getPairingStatus(session),
+      message: 'On the phone open WhatsApp → Settings → Linked Devices → Link a Device → Link with phone number instead, and enter the code'
+    });
+  } catch (error) {
+    session.pairing = null;
+    log.error('❌ Pairing code error', { sessionId: session.id, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+app.get('/api/status', requireScope('read'), async (req, res) => {
+  setNoCache(res);
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  const status = await buildSessionStatus(session);
+  res.json({
+    ...status,
+    webhook: {
+      enabled: !!(getLegacyWebhook() && getLegacyWebhook().enabled),
+      url: getLegacyWebhook() ? 'SET' : 'NOT SET',
+      subscriptions: webhooks.length
+    }
+  });
+});
+
+app.get('/api/health', requireScope('read'), async (req, res) => {
+  setNoCache(res);
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  if (!session.client) {
+    return res.status(503).json({
+      ok: false,
+      sessionId: session.id,
+      error: 'Client not initialized',
+      ...getEffectiveState(session)
+    });
+  }
+
+  try {
+    const state = await session.client.getState();
+    return res.json({
+      ok: true,
+      sessionId: session.id,
+      state,
+      ...getEffectiveState(session)
+    });
+  } catch (error) {
+    log.error('❌ Health check error', { sessionId: session.id, error: error.message });
+    if (isPuppeteerDetachedFrameError(error)) {
+      session.isReady = false;
+      session.lastDisconnectAt = new Date().toISOString();
+      writeStateFile();
+      scheduleReinit(session, 'health:detached_frame');
+    }
+    return res.status(503).json({
+      ok: false,
+      sessionId: session.id,
+      error: error.message || String(error),
+      ...getEffectiveState(session)
+    });
+  }
+});
+
+app.get('/api/qr', requireScope('read'), async (req, res) => {
+  setNoCache(res);
+  const session = resolveSession(req, res);
+  if (!session) return;
+  await sendQr(session, res);
+});
+
+app.post('/api/pairing-code', requireScope('admin'), async (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+  await sendPairingCode(session, req, res);
+});
+
+// Session management endpoints
+app.get('/api/sessions', requireScope('read'), async (req, res) => {
+  setNoCache(res);
+  const list = [];
+  for (const session of sessions.values()) {
+    list.push({
+      ...(await buildSessionStatus(session)),
+      isDefault: session.id === DEFAULT_SESSION_ID,
+      createdAt: session.createdAt
+    });
+  }
+  res.json({ sessions: list, defaultSessionId: DEFAULT_SESSION_ID });
+});
+
+app.post('/api/sessions', requireScope('admin'), (req, res) => {
+  const { id } = req.body || {};
+
+  if (!id) {
+    return res.status(400).json({ error: 'Session id is required' });
+  }
+
+  if (!SESSION_ID_PATTERN.test(id) || id === DEFAULT_CLIENT_ID) {
+    return res.status(400).json({ error: 'Invalid session id. Use 1-64 letters, digits, "-" or "_"' });
+  }
+
+  if (sessions.has(id)) {
+    return res.status(409).json({ error: `Session "${id}" already exists` });
+  }
+
+  const session = createSession(id);
+  log.info(`🆕 Session created: ${id}`);
+
+  res.status(201).json({
+    success: true,
+    sessionId: session.id,
+    createdAt: session.createdAt,
+    message: 'Session created. Check /api/sessions/' + session.id + '/qr for the QR code'
+  });
+});
+
+app.get('/api/sessions/:id', requireScope('read'), async (req, res) => {
+  setNoCache(res);
+  const session = resolveSession(req, res);
+  if (!session) return;
+  res.json({
+    ...(await buildSessionStatus(session)),
+    isDefault: session.id === DEFAULT_SESSION_ID,
+    createdAt: session.createdAt
+  });
+});
+
+app.get('/api/sessions/:id/qr', requireScope('read'), async (req, res) => {
+  setNoCache(res);
+  const session = resolveSession(req, res);
+  if (!session) return;
+  await sendQr(session, res);
+});
+
+app.post('/api/sessions/:id/pairing-code', requireScope('admin'), async (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+  await sendPairingCode(session, req, res);
+});
+
+app.delete('/api/sessions/:id', requireScope('admin'), async (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  if (session.id === DEFAULT_SESSION_ID) {
+    return res.status(400).json({ error: 'The default session cannot be deleted. Use /api/restart to clear it' });
+  }
+
+  try {
+    sessions.delete(session.id);
+    if (session.client && session.isReady) {
+      await session.client.logout().catch(() => {});
+    }
+    await destroySession(session, { clearAuth: true });
+    saveSessionRegistry();
+    sendGovernor.delete(session.id);
+    sendGovernorDirty = true;
+    writeStateFile();
+    log.info(`🗑️  Session deleted: ${session.id}`);
+    res.json({ success: true, sessionId: session.id });
+  } catch (error) {
+    log.error('❌ Delete session error', { sessionId: session.id, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download an encrypted backup of the session's saved login
+app.post('/api/sessions/:id/backup', requireScope('admin'), async (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  try {
+    const backup = await createSessionBackup(session, getBackupPassphrase(req.body));
+    log.info('💾 Session backup exported', { sessionId: session.id, bytes: backup.length });
+    setNoCache(res);
+    res.attachment(`session-${session.id}-${new Date().toISOString().replace(/[:.]/g, '-')}.wabk`);
+    res.type('application/octet-stream').send(backup);
+  } catch (error) {
+    log.error('❌ Session backup error', { sessionId: session.id, error: error.message });
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+app.get('/api/sessions/:id/backups', requireScope('admin'), (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+  res.json({ sessionId: session.id, retention: BACKUP_RETENTION, snapshots: listSnapshots(session) });
+});
+
+app.get('/api/sessions/:id/backups/:name', requireScope('admin'), (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  const { name } = req.params;
+  const filePath = path.join(getSnapshotDir(session), name);
+  if (!BACKUP_NAME_PATTERN.test(name) || !fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Snapshot not found' });
+  }
+  res.attachment(`session-${session.id}-${name}`);
+  res.type('application/octet-stream').send(fs.readFileSync(filePath));
+});
+
+// Replace the session's saved login with a backup and restart its client
+app.post('/api/sessions/:id/restore', requireScope('admin'), parseBackupUpload, async (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  try {
+    let file;
+    if (req.file) {
+      file = req.file.buffer;
+    } else if (req.body && req.body.snapshot) {
+      const name = String(req.body.snapshot);
+      const filePath = path.join(getSnapshotDir(session), name);
+      if (!BACKUP_NAME_PATTERN.test(name) || !fs.existsSync(filePath)) {
+        return res.status(404).json({ error: 'Snapshot not found' });
+      }
+      file = fs.readFileSync(filePath);
+    } else {
+      return res.status(400).json({ error: 'Upload a backup as "file" (multipart) or pass "snapshot"' });
+    }
+
+    const result = await restoreSessionBackup(session, file, getBackupPassphrase(req.body));
+    res.json({
+      success: true,
+      sessionId: session.id,
+      ...result,
+      message: 'Backup restored. WhatsApp is restarting with the restored login.'
+    });
+  } catch (error) {
+    log.error('❌ Session restore error', { sessionId: session.id, error: error.message });
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// Outbound message types for /api/send. The request is validated into a
+// plain "spec" object first so queued jobs can store it and build the
+// whatsapp-web.js content when they are actually sent.
+const SEND_TYPES = ['text', 'location', 'contact', 'poll', 'reaction', 'edit', 'delete'];
+// These act on an existing message instead of sending a new one
+const MESSAGE_ACTION_TYPES = ['reaction', 'edit', 'delete'];
+const POLL_MAX_OPTIONS = 12;
+
+function requireString(body, key, label) {
+  const value = body[key];
+  if (typeof value !== 'string' || !value.trim()) {
+    throw httpError(400, `${label} ("${key}") is required`);
+  }
+  return value;
+}
+
+function parseCoordinate(value, key, limit) {
+  const number = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(number) || Math.abs(number) > limit) {
+    throw httpError(400, `"${key}" must be a number between -${limit} and ${limit}`);
+  }
+  return number;
+}
+
+function parseSendSpec(body) {
+  const type = body.type || 'text';
+  if (!SEND_TYPES.includes(type)) {
+    throw httpError(400, `Unknown type "${type}". Use one of: ${SEND_TYPES.join(', ')}`);
+  }
+  const spec = { type };
+
+  if (MESSAGE_ACTION_TYPES.includes(type)) {
+    spec.messageId = requireString(body, 'messageId', 'Message id');
+    if (type === 'reaction') {
+      // An empty emoji removes our reaction
+      if (typeof body.emoji !== 'string' || [...body.emoji].length > 8) {
+        throw httpError(400, '"emoji" must be an emoji, or "" to remove the reaction');
+      }
+      spec.emoji = body.emoji;
+    } else if (type === 'edit') {
+      spec.message = requireString(body, 'message', 'New text');
+    } else {
+      spec.everyone = body.everyone !== false;
+    }
+    return spec;
+  }
+
+  if (type === 'text') {
+    spec.message = requireString(body, 'message', 'Message');
+  } else if (type === 'location') {
+    spec.latitude = parseCoordinate(body.latitude, 'latitude', 90);
+    spec.longitude = parseCoordinate(body.longitude, 'longitude', 180);
+    for (const key of ['name', 'address', 'url']) {
+      if (body[key]) spec[key] = String(body[key]);
+    }
+  } else if (type === 'contact') {
+    if (body.vcard) {
+      if (!/^BEGIN:VCARD/i.test(String(body.vcard).trim())) {
+        throw httpError(400, '"vcard" must start with BEGIN:VCARD');
+      }
+      spec.vcard = String(body.vcard).trim();
+    } else {
+      const contacts = Array.isArray(body.contacts) ? body.contacts : body.contact ? [body.contact] : [];
+      if (!contacts.length) {
+        throw httpError(400, 'A contact message needs "contact", "contacts" or "vcard"');
+      }
+      spec.contacts = contacts.map(contact => resolveRecipient(contact));
+      if (spec.contacts.some(id => id.endsWith('@g.us'))) {
+        throw httpError(400, 'Groups cannot be shared as contacts');
+      }
+    }
+  } else if (type === 'poll') {
+    spec.question = requireString(body, 'question', 'Poll question');
+    const options = Array.isArray(body.options) ? body.options.map(o => String(o).trim()) : [];
+    if (options.length < 2 || options.length > POLL_MAX_OPTIONS || options.some(o => !o)) {
+      throw httpError(400, `"options" must be 2-${POLL_MAX_OPTIONS} non-empty strings`);
+    }
+    if (new Set(options).size !== options.length) {
+      throw httpError(400, 'Poll options must be unique');
+    }
+    spec.options = options;
+    spec.allowMultipleAnswers = body.allowMultipleAnswers === true;
+  }
+
+  // Reply and mention options apply to every new message
+  if (body.quotedMessageId) {
+    spec.quotedMessageId = String(body.quotedMessageId);
+  }
+  if (body.mentions !== undefined) {
+    if (!Array.isArray(body.mentions) || !body.mentions.length) {
+      throw httpError(400, '"mentions" must be a non-empty array of phone numbers');
+    }
+    spec.mentions = body.mentions.map(mention => resolveRecipient(mention));
+    if (spec.mentions.some(id => id.endsWith('@g.us'))) {
+      throw httpError(400, 'Only people can be mentioned');
+    }
+  }
+  return spec;
+}
+
+// Send a new message described by a spec from parseSendSpec
+async function sendSpec(client, chatId, spec) {
+  const options = {};
+  if (spec.quotedMessageId) options.quotedMessageId = spec.quotedMessageId;
+  if (spec.mentions) options.mentions = spec.mentions;
+
+  let content;
+  if (spec.type === 'location') {
+    content = new Location(spec.latitude, spec.longitude, { name: spec.name, address: spec.address, url: spec.url });
+  } else if (spec.type === 'poll') {
+    content = new Poll(spec.question, spec.options, { allowMultipleAnswers: spec.allowMultipleAnswers });
+  } else if (spec.type === 'contact' && spec.vcard) {
+    content = spec.vcard;
+    options.parseVCards = true;
+  } else if (spec.type === 'contact') {
+    const contacts = await Promise.all(spec.contacts.map(id => client.getContactById(id)));
+    content = contacts.length === 1 ? contacts[0] : contacts;
+  } else {
+    content = spec.message;
+  }
+  return client.sendMessage(chatId, content, options);
+}
+
+// React to, edit or delete an existing message
+// Reactions, edits and deletes show up in the chat like any other send, so
+// they take a slot from the send governor too
+async function applyMessageAction(session, spec) {
+  const message = await session.client.getMessageById(spec.messageId);
+  if (!message) {
+    throw httpError(404, 'Message not found');
+  }
+
+  const chatId = message.id.remote;
+  if (spec.type === 'reaction') {
+    await governedSend(session, chatId, 'api', null, () => message.react(spec.emoji));
+    return { messageId: spec.messageId, emoji: spec.emoji };
+  }
+  if (!message.fromMe && (spec.type === 'edit' || spec.everyone)) {
+    throw httpError(403, `Only messages sent from this number can be ${spec.type === 'edit' ? 'edited' : 'deleted for everyone'}`);
+  }
+  if (spec.type === 'edit') {
+    const edited = await governedSend(session, chatId, 'api', spec.message, () => message.edit(spec.message));
+    // WhatsApp only allows edits for a short time after sending
+    if (!edited) {
+      throw httpError(409, 'Message can no longer be edited');
+    }
+    return { messageId: spec.messageId, edited: true };
+  }
+  await governedSend(session, chatId, 'api', null, () => message.delete(spec.everyone));
+  return { messageId: spec.messageId, deleted: true, everyone: spec.everyone };
+}
+
+// Idempotency keys
+// A POST /api/send with an Idempotency-Key header is recorded with a hash of
+// its body. Retrying with the same key returns the stored response instead
+// of sending again; the same key with a different body is a 409. Records
+// are saved to disk and kept for IDEMPOTENCY_TTL_HOURS. Only successful
+// responses are stored - after an error the key can be retried.
+const IDEMPOTENCY_PATH = process.env.IDEMPOTENCY_PATH || path.join(path.dirname(STATE_PATH), '.wwebjs_idempotency.json');
+const IDEMPOTENCY_TTL_MS = (parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+// "<apiKeyId>:<key>" -> { bodyHash, status, response, createdAt, expiresAt }
+let idempotencyRecords = {};
+
+function loadIdempotencyRecords() {
+  try {
+    if (!fs.existsSync(IDEMPOTENCY_PATH)) return;
+    const raw = JSON.parse(fs.readFileSync(IDEMPOTENCY_PATH, 'utf8'));
+    idempotencyRecords = raw.records || {};
+    // A request cut off by a crash may or may not have sent its message
+    Object.values(idempotencyRecords).forEach((record) => {
+      if (record.status === 'in_progress') record.status = 'interrupted';
+    });
+    purgeIdempotencyRecords();
+  } catch (err) {
+    log.error('❌ Failed to load idempotency keys', { error: err.message });
+  }
+}
+
+function saveIdempotencyRecords() {
+  try {
+    writeFileAtomic(IDEMPOTENCY_PATH, JSON.stringify({ records: idempotencyRecords }));
+  } catch (err) {
+    log.error('❌ Failed to save idempotency keys', { error: err.message });
+  }
+}
+
+function purgeIdempotencyRecords() {
+  const now = Date.now();
+  let purged = 0;
+  for (const [key, record] of Object.entries(idempotencyRecords)) {
+    if (Date.parse(record.expiresAt) <= now) {
+      delete idempotencyRecords[key];
+      purged += 1;
+    }
+  }
+  if (purged) saveIdempotencyRecords();
+}
+
+// JSON with sorted object keys, so field order doesn't change the hash
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Middleware: replays, rejects or records the request, then stores the
+// response when the route answers with a 2xx
+function idempotent(req, res, next) {
+  const key = req.get('idempotency-key');
+  if (key === undefined) return next();
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    return res.status(400).json({ error: 'Idempotency-Key must be 1-255 printable ASCII characters' });
+  }
+
+  // Keys are per API key, so two callers can't see each other's responses
+  const recordKey = `${req.apiKey.id}:${key}`;
+  const bodyHash = crypto.createHash('sha256')
+    .update(stableStringify({ body: req.body || {}, sessionId: req.query.sessionId || null }))
+    .digest('hex');
+  const existing = idempotencyRecords[recordKey];
+
+  if (existing && Date.parse(existing.expiresAt) > Date.now()) {
+    if (existing.bodyHash !== bodyHash) {
+      return res.status(409).json({ error: 'Idempotency-Key was already used with a different request body' });
+    }
+    if (existing.status === 'in_progress') {
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress' });
+    }
+    if (existing.status === 'interrupted') {
+      return res.status(409).json({ error: 'The request with this Idempotency-Key was interrupted by a restart and may have been sent. Use a new key to send again' });
+    }
+    log.info('🔁 Idempotent replay', { idempotencyKey: key });
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.response.status).json(existing.response.body);
+  }
+
+  const now = Date.now();
+  idempotencyRecords[recordKey] = {
+    bodyHash,
+    status: 'in_progress',
+    response: null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + IDEMPOTENCY_TTL_MS).toISOString()
+  };
+  saveIdempotencyRecords();
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 200 && res.statusCode < 300) {
+      Object.assign(idempotencyRecords[recordKey], { status: 'completed', response: { status: res.statusCode, body } });
+    } else {
+      delete idempotencyRecords[recordKey];
+    }
+    saveIdempotencyRecords();
+    return json(body);
+  };
+  next();
+}
+
+loadIdempotencyRecords();
+setInterval(purgeIdempotencyRecords, 60 * 60 * 1000);
+
+app.post('/api/send', requireScope('send'), idempotent, async (req, res) => {
+  const body = req.body || {};
+  const { to, message } = body;
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  let spec;
+  try {
+    spec = parseSendSpec(body);
+  } catch (error) {
+    return res.status(error.status || 500).json(errorBody(error));
+  }
+  const isAction = MESSAGE_ACTION_TYPES.includes(spec.type);
+
+  // Queued mode accepts the message even while the client is reconnecting.
+  // Reactions, edits and deletes act on an existing message and never queue.
+  const queued = !isAction && (body.queue === true || (SEND_MODE === 'queue' && body.queue !== false));
+
+  log.info('📤 SEND REQUEST', { type: spec.type, to, message, queued });
+
+  if (!queued && !session.isReady) {
+    recordSendError(session, 'api', 'not_ready');
+    return res.status(400).json({ error: 'WhatsApp not ready' });
+  }
+
+  try {
+    if (isAction) {
+      const result = await applyMessageAction(session, spec);
+      log.info(`✏️ Message ${spec.type}`, { messageId: spec.messageId });
+      return res.json({ success: true, type: spec.type, ...result, sessionId: session.id });
+    }
+
+    if (!to) {
+      throw httpError(400, 'Phone number ("to") is required');
+    }
+
+    const chatId = resolveRecipient(to);
+    
+    if (queued) {
+      const job = enqueueMessage(session, chatId, spec);
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        jobId: job.id,
+        status: job.status,
+        to: chatId,
+        type: spec.type,
+        sessionId: session.id
+      });
+    }
+
+    log.debug(`📤 Sending ${spec.type}`, { chatId });
+
+    const result = await governedSend(session, chatId, 'api', spec.message, () => sendSpec(session.client, chatId, spec));
+    res.json({
+      success: true,
+      id: result.id._serialized,
+      to: chatId,
+      type: spec.type,
+      sessionId: session.id
+    });
+  } catch (error) {
+    log.error('❌ Send message error', { error: error.message, status: error.status });
+    recordSendError(session, 'api', error);
+    if (isPuppeteerDetachedFrameError(error)) {
+      session.isReady = false;
+      session.lastDisconnectAt = new Date().toISOString();
+      writeStateFile();
+      scheduleReinit(session, 'send:detached_frame');
+    }
+    setRetryAfter(res, error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+app.post('/api/send-media', requireScope('send'), parseMediaUpload, async (req, res) => {
+  const body = req.body || {};
+  const { to, caption } = body;
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  log.info('📎 SEND MEDIA REQUEST', { to });
+
+  if (!session.isReady) {
+    recordSendError(session, 'api_media', 'not_ready');
+    return res.status(400).json({ error: 'WhatsApp not ready' });
+  }
+
+  try {
+    if (!to) {
+      throw httpError(400, 'Phone number ("to") is required');
+    }
+
+    const chatId = resolveRecipient(to);
+
+    const sendAsDocument = isTruthy(body.sendAsDocument);
+    const sendAsSticker = isTruthy(body.sendAsSticker);
+    const sendAsVoice = isTruthy(body.sendAsVoice);
+    if ([sendAsDocument, sendAsSticker, sendAsVoice].filter(Boolean).length > 1) {
+      throw httpError(400, 'Only one of sendAsDocument, sendAsSticker or sendAsVoice can be set');
+    }
+
+    const { media, size } = await buildMessageMedia(req);
+    if (sendAsSticker && !media.mimetype.startsWith('image/')) {
+      throw httpError(400, 'Stickers must be images');
+    }
+    if (sendAsVoice && !media.mimetype.startsWith('audio/')) {
+      throw httpError(400, 'Voice notes must be audio');
+    }
+
+    log.debug('📤 Sending media', { chatId, mimetype: media.mimetype, size, filename: media.filename || undefined });
+
+    const result = await governedSend(session, chatId, 'api_media', caption, () => session.client.sendMessage(chatId, media, {
+      caption: caption || undefined,
+      sendMediaAsDocument: sendAsDocument,
+      sendMediaAsSticker: sendAsSticker,
+      sendAudioAsVoice: sendAsVoice
+    }));
+    res.json({
+      success: true,
+      id: result.id._serialized,
+      to: chatId,
+      sessionId: session.id,
+      mimetype: media.mimetype,
+      filename: media.filename || null,
+      size
+    });
+  } catch (error) {
+    log.error('❌ Send media error', { error: error.message || String(error), status: error.status });
+    recordSendError(session, 'api_media', error);
+    if (isPuppeteerDetachedFrameError(error)) {
+      session.isReady = false;
+      session.lastDisconnectAt = new Date().toISOString();
+      writeStateFile();
+      scheduleReinit(session, 'send-media:detached_frame');
+    }
+    setRetryAfter(res, error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// Current send governor counters and limits for a session
+app.get('/api/send-limits', requireScope('read'), (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+  res.json({ success: true, ...publicSendUsage(session) });
+});
+
+// Serve stored incoming media. A valid signature (from the webhook URL)
+// works without an API key; otherwise the "read" scope is required.
+app.get('/api/media/:id', (req, res) => {
+  const { id } = req.params;
+  const { expires, sig } = req.query;
+
+  if (!verifyMediaSignature(id, expires, sig)) {
+    if (!req.apiKey) {
+      return res.status(401).json({ error: 'Invalid or expired media link' });
+    }
+    if (!hasScope(req.apiKey, 'read')) {
+      return res.status(403).json({ error: 'API key is missing the "read" scope' });
+    }
+  }
+
+  const meta = MEDIA_ID_PATTERN.test(id) ? readMediaMeta(id) : null;
+  const filePath = meta && path.join(MEDIA_STORE_PATH, `${id}.bin`);
+  if (!meta || !fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Media not found or expired' });
+  }
+
+  if (meta.filename) {
+    res.attachment(meta.filename);
+  }
+  res.set({
+    'Content-Type': meta.mimetype,
+    'Content-Length': meta.size,
+    'Cache-Control': 'private, max-age=300'
+  });
+  fs.createReadStream(filePath)
+    .on('error', (err) => {
+      // The file can be purged between the lookup above and the open
+      if (res.headersSent) return res.destroy(err);
+      res.removeHeader('Content-Disposition');
+      setNoCache(res);
+      if (err.code === 'ENOENT') {
+        return res.status(404).json({ error: 'Media not found or expired' });
+      }
+      log.error('❌ Media read error', { mediaId: id, error: err.message });
+      res.status(500).json({ error: 'Could not read media' });
+    })
+    .pipe(res);
+});
+
+// Search stored message history, newest first. Pass nextCursor back as
+// ?cursor= to get the next page.
+app.get('/api/messages', requireScope('read'), async (req, res) => {
+  setNoCache(res);
+  if (!messageStoreReady) {
+    return res.status(503).json({ error: 'Message history is not available (DATABASE_URL not configured)' });
+  }
+
+  const query = buildMessageQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+
+  try {
+    // Fetch one extra row to know whether there is another page
+    const { rows } = await dbPool.query(
+      `SELECT * FROM wa_messages ${query.where} ORDER BY timestamp DESC, session_id DESC, id DESC LIMIT ${query.limit + 1}`,
+      query.values
+    );
+    const hasMore = rows.length > query.limit;
+    const page = rows.slice(0, query.limit);
+
+    res.json({
+      success: true,
+      messages: page.map(publicMessageRecord),
+      nextCursor: hasMore ? encodeMessageCursor(page[page.length - 1]) : null
+    });
+  } catch (error) {
+    log.error('❌ Message search error', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/messages/:jobId', requireScope('read'), (req, res) => {
+  setNoCache(res);
+  const job = outbox.find(j => j.id === req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(publicOutboxJob(job));
+});
+
+app.post('/api/check-user', requireScope('read'), async (req, res) => {
+  const { phone } = req.body;
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  if (!session.isReady) {
+    return res.status(400).json({ error: 'WhatsApp not ready' });
+  }
+
+  if (!phone) {
+    return res.status(400).json({ error: 'Phone number is required' });
+  }
+
+  try {
+    const chatId = resolveRecipient(phone, { groups: false });
+    const formattedNumber = chatId.split('@')[0];
+
+    log.info(`🔍 Checking user: ${chatId}`, { sessionId: session.id });
+
+    const client = session.client;
+
+    // Check if number is registered on WhatsApp
+    const isRegistered = await client.isRegisteredUser(chatId);
+
+    if (!isRegistered) {
+      return res.json({
+        success: true,
+        isWhatsAppUser: false,
+        phone: formattedNumber,
+        message: 'This number is not a WhatsApp user'
+      });
+    }
+
+    // Get contact info
+    const contact = await client.getContactById(chatId);
+
+    // Get profile picture URL
+    let profilePicUrl = null;
+    try {
+      profilePicUrl = await client.getProfilePicUrl(chatId);
+    } catch (picError) {
+      log.info('No profile picture or privacy settings prevent access');
+    }
+
+    res.json({
+      success: true,
+      isWhatsAppUser: true,
+      phone: formattedNumber,
+      name: contact.pushname || contact.name || null,
+      profilePicture: profilePicUrl
+    });
+  } catch (error) {
+    log.error('❌ Check user error', { sessionId: session.id, error: error.message });
+    if (isPuppeteerDetachedFrameError(error)) {
+      session.isReady = false;
+      session.lastDisconnectAt = new Date().toISOString();
+      writeStateFile();
+      scheduleReinit(session, 'check-user:detached_frame');
+    }
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// Bulk check - multipart "file" (CSV), a "csv" text field or a JSON "phones" array
+function parseCsvUpload(req, res, next) {
+  if (!req.is('multipart/form-data')) return next();
+  csvUpload.single('file')(req, res, (err) => {
+    if (err) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: `Upload error: ${err.message}` });
+    }
+    next();
+  });
+}
+
+app.post('/api/check-user/bulk', requireScope('send'), parseCsvUpload, (req, res) => {
+  const body = req.body || {};
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  try {
+    let phones;
+    if (req.file || typeof body.csv === 'string') {
+      const text = req.file ? req.file.buffer.toString('utf8') : body.csv;
+      phones = extractPhonesFromCsv(text, body.column);
+    } else if (Array.isArray(body.phones)) {
+      phones = body.phones.filter(phone => typeof phone === 'string' || typeof phone === 'number');
+    } else {
+      throw httpError(400, 'Send a "phones" array, a "csv" string or a CSV "file" upload');
+    }
+
+    if (!phones.length) {
+      throw httpError(400, 'No phone numbers found');
+    }
+    if (phones.length > CHECK_JOB_MAX_NUMBERS) {
+      throw httpError(413, `Too many numbers (${phones.length}). The limit is ${CHECK_JOB_MAX_NUMBERS} per job`);
+    }
+
+    const job = createCheckJob(session, phones, isTruthy(body.includeProfile));
+    res.status(202).json({ success: true, ...summarizeCheckJob(job) });
+  } catch (error) {
+    log.error('❌ Bulk check error', { sessionId: session.id, error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/check-user/bulk', requireScope('read'), (req, res) => {
+  setNoCache(res);
+  res.json({ success: true, jobs: checkJobs.map(summarizeCheckJob) });
+});
+
+app.get('/api/check-user/bulk/:jobId', requireScope('read'), (req, res) => {
+  setNoCache(res);
+  const job = checkJobs.find(j => j.id === req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(summarizeCheckJob(job));
+});
+
+// Results so far (?format=csv for a spreadsheet download)
+app.get('/api/check-user/bulk/:jobId/results', requireScope('read'), (req, res) => {
+  setNoCache(res);
+  const job = checkJobs.find(j => j.id === req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (req.query.format === 'csv') {
+    res.attachment(`check-${job.id}.csv`);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    return res.send(buildCheckResultsCsv(job));
+  }
+  res.json({ ...summarizeCheckJob(job), results: job.items.map(publicCheckResult) });
+});
+
+// Stop a running job. Numbers already checked stay in the results.
+app.delete('/api/check-user/bulk/:jobId', requireScope('send'), (req, res) => {
+  const job = checkJobs.find(j => j.id === req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
   }
-  
-  res.json({
-    ready: state.ready,
-    isConnected: isConnected,
-    actualState: actualState,
-    hasQR: state.hasQR,
-    authenticated: !!state.lastAuthAt,
-    lastQrAt: state.lastQrAt,
-    lastReadyAt: state.lastReadyAt,
-    lastAuthAt: state.lastAuthAt,
-    lastDisconnectAt: state.lastDisconnectAt,
-    lastClientState: state.lastClientState,
-    lastReinitReason: state.lastReinitReason,
-    lastReinitAt: state.lastReinitAt,
-    reinitAttempts: state.reinitAttempts,
-    webhook: {
-      enabled: webhookEnabled,
-      url: webhookUrl ? 'SET' : 'NOT SET'
-    }
-  });
+  if (job.status === 'queued' || job.status === 'running') {
+    job.status = 'cancelled';
+    job.finishedAt = job.updatedAt = new Date().toISOString();
+    saveCheckJobs();
+    log.info(`🛑 Check job cancelled job=${job.id}`, { sessionId: job.sessionId });
+  }
+  res.json(summarizeCheckJob(job));
 });
 
-app.get('/api/health', async (req, res) => {
+// Chats and contacts endpoints
+const CHAT_PAGE_MAX = 200;
+// fetchMessages only returns the newest N messages, so paging backwards
+// means fetching a larger window. This caps how far back a cursor can go.
+const CHAT_HISTORY_WINDOW_MAX = parseInt(process.env.CHAT_HISTORY_WINDOW_MAX, 10) || 2000;
+
+// Like resolveSession, but also sends a 400 when the client is not ready
+function resolveReadySession(req, res) {
+  const session = resolveSession(req, res);
+  if (!session) return null;
+  if (!session.isReady) {
+    res.status(400).json({ error: 'WhatsApp not ready' });
+    return null;
+  }
+  return session;
+}
+
+// Error response for routes that call into the WhatsApp client
+function sendClientError(session, res, error, source) {
+  log.error(`❌ ${source} error`, { sessionId: session.id, error: error.message });
+  if (isPuppeteerDetachedFrameError(error)) {
+    session.isReady = false;
+    session.lastDisconnectAt = new Date().toISOString();
+    writeStateFile();
+    scheduleReinit(session, `${source}:detached_frame`);
+  }
+  res.status(error.status || 500).json(errorBody(error));
+}
+
+function parsePageLimit(value, fallback) {
+  return Math.min(Math.max(parseInt(value, 10) || fallback, 1), CHAT_PAGE_MAX);
+}
+
+function toIsoTime(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+function publicChatMessage(msg) {
+  return {
+    id: msg.id?._serialized || null,
+    from: msg.from,
+    to: msg.to,
+    author: msg.author || null,
+    fromMe: msg.fromMe,
+    body: msg.body,
+    type: msg.type,
+    timestamp: toIsoTime(msg.timestamp),
+    hasMedia: msg.hasMedia,
+    ack: typeof msg.ack === 'number' ? msg.ack : null,
+    ackStatus: typeof msg.ack === 'number' ? (ACK_STATUSES[msg.ack] || 'unknown') : null
+  };
+}
+
+function publicChat(chat) {
+  return {
+    id: chat.id._serialized,
+    name: chat.name || null,
+    isGroup: chat.isGroup,
+    isReadOnly: chat.isReadOnly || false,
+    unreadCount: chat.unreadCount || 0,
+    timestamp: toIsoTime(chat.timestamp),
+    archived: chat.archived || false,
+    pinned: chat.pinned || false,
+    isMuted: chat.isMuted || false,
+    // -1 means muted until unmuted
+    muteExpiration: chat.muteExpiration > 0 ? toIsoTime(chat.muteExpiration) : chat.muteExpiration === -1 ? 'forever' : null,
+    tags: chatTags[chat.id._serialized] || [],
+    lastMessage: chat.lastMessage ? publicChatMessage(chat.lastMessage) : null
+  };
+}
+
+function publicContact(contact) {
+  return {
+    id: contact.id._serialized,
+    number: contact.number || null,
+    name: contact.name || null,
+    pushname: contact.pushname || null,
+    shortName: contact.shortName || null,
+    isMyContact: contact.isMyContact || false,
+    isBusiness: contact.isBusiness || false,
+    isBlocked: contact.isBlocked || false,
+    isGroup: contact.isGroup || false,
+    isWAContact: contact.isWAContact || false
+  };
+}
+
+async function getChatOrThrow(session, id) {
+  let chat = null;
+  try {
+    chat = await session.client.getChatById(resolveRecipient(id));
+  } catch (err) {
+    if (isPuppeteerDetachedFrameError(err)) throw err;
+  }
+  if (!chat) throw httpError(404, 'Chat not found');
+  return chat;
+}
+
+// Return the `limit` messages older than `before` (or the newest ones).
+// Grows the fetch window until the cursor message is found.
+async function fetchChatMessages(chat, limit, before) {
+  let windowSize = before ? limit * 2 : limit;
+  for (;;) {
+    const messages = await chat.fetchMessages({ limit: windowSize });
+    const exhausted = messages.length < windowSize;
+    const atMax = windowSize >= CHAT_HISTORY_WINDOW_MAX;
+    const end = before ? messages.findIndex(m => m.id?._serialized === before) : messages.length;
+
+    // Found with a full page before it, or nothing older can be fetched
+    if (end !== -1 && (end >= limit || exhausted || atMax)) {
+      const start = Math.max(0, end - limit);
+      const hasOlder = start > 0 || (!exhausted && !atMax);
+      return {
+        messages: messages.slice(start, end),
+        nextCursor: hasOlder && end > 0 ? messages[start].id?._serialized || null : null
+      };
+    }
+    if (end === -1 && (exhausted || atMax)) {
+      throw httpError(400, 'Cursor message not found in recent chat history');
+    }
+    windowSize = Math.min(windowSize * 2, CHAT_HISTORY_WINDOW_MAX);
+  }
+}
+
+app.get('/api/chats', requireScope('read'), async (req, res) => {
   setNoCache(res);
+  const session = resolveReadySession(req, res);
+  if (!session) return;
 
-  if (!client) {
-    return res.status(503).json({
-      ok: false,
-      error: 'Client not initialized',
-      ...getEffectiveState()
+  try {
+    const { archived, isGroup, unread, q } = req.query;
+    const limit = parsePageLimit(req.query.limit, 50);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const search = q ? String(q).toLowerCase() : null;
+
+    const chats = (await session.client.getChats())
+      .filter(chat => archived === undefined || chat.archived === isTruthy(archived))
+      .filter(chat => isGroup === undefined || chat.isGroup === isTruthy(isGroup))
+      .filter(chat => !isTruthy(unread) || chat.unreadCount > 0)
+      .filter(chat => !search || (chat.name || '').toLowerCase().includes(search) || chat.id._serialized.includes(search))
+      // Pinned chats first, then most recent activity
+      .sort((a, b) => (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || (b.timestamp || 0) - (a.timestamp || 0));
+
+    res.json({
+      success: true,
+      total: chats.length,
+      chats: chats.slice(offset, offset + limit).map(publicChat)
     });
+  } catch (error) {
+    sendClientError(session, res, error, 'List chats');
   }
+});
+
+// Chat routes use :chatId - resolveSession treats :id as the session id
+app.get('/api/chats/:chatId', requireScope('read'), async (req, res) => {
+  setNoCache(res);
+  const session = resolveReadySession(req, res);
+  if (!session) return;
 
   try {
-    const state = await client.getState();
-    return res.json({
-      ok: true,
-      state,
-      ...getEffectiveState()
+    const chat = await getChatOrThrow(session, req.params.chatId);
+    res.json({ success: true, chat: publicChat(chat) });
+  } catch (error) {
+    sendClientError(session, res, error, 'Get chat');
+  }
+});
+
+// Newest messages first page; pass nextCursor back as ?before= for older ones
+app.get('/api/chats/:chatId/messages', requireScope('read'), async (req, res) => {
+  setNoCache(res);
+  const session = resolveReadySession(req, res);
+  if (!session) return;
+
+  try {
+    const chat = await getChatOrThrow(session, req.params.chatId);
+    const limit = parsePageLimit(req.query.limit, 50);
+    const page = await fetchChatMessages(chat, limit, req.query.before ? String(req.query.before) : null);
+
+    res.json({
+      success: true,
+      chatId: chat.id._serialized,
+      messages: page.messages.reverse().map(publicChatMessage),
+      nextCursor: page.nextCursor
     });
   } catch (error) {
-    console.error('❌ Health check error:', error);
-    if (isPuppeteerDetachedFrameError(error)) {
-      isReady = false;
-      lastDisconnectAt = new Date().toISOString();
-      writeStateFile();
-      scheduleReinit('health:detached_frame');
+    sendClientError(session, res, error, 'Fetch chat messages');
+  }
+});
+
+// Chat actions - each maps to one whatsapp-web.js Chat method
+const CHAT_ACTIONS = {
+  read: chat => chat.sendSeen(),
+  unread: chat => chat.markUnread(),
+  archive: chat => chat.archive(),
+  unarchive: chat => chat.unarchive(),
+  pin: async (chat) => {
+    // WhatsApp allows only three pinned chats
+    if (await chat.pin() === false) throw httpError(409, 'Pinned chat limit reached');
+  },
+  unpin: chat => chat.unpin(),
+  // Body: { "duration": seconds } - omit to mute until unmuted
+  mute: (chat, body) => {
+    const duration = parseInt(body.duration, 10);
+    if (body.duration !== undefined && !(duration > 0)) {
+      throw httpError(400, '"duration" must be a positive number of seconds');
     }
-    return res.status(503).json({
-      ok: false,
-      error: error.message || String(error),
-      ...getEffectiveState()
+    return chat.mute(duration > 0 ? new Date(Date.now() + duration * 1000) : undefined);
+  },
+  unmute: chat => chat.unmute()
+};
+
+app.post('/api/chats/:chatId/:action', requireScope('send'), async (req, res) => {
+  const action = CHAT_ACTIONS[req.params.action];
+  if (!action) {
+    return res.status(404).json({ error: `Unknown chat action "${req.params.action}"` });
+  }
+  const session = resolveReadySession(req, res);
+  if (!session) return;
+
+  try {
+    const chat = await getChatOrThrow(session, req.params.chatId);
+    await action(chat, req.body || {});
+    log.info(`💬 Chat ${req.params.action}: ${chat.id._serialized}`, { sessionId: session.id });
+
+    // Re-read the chat so the response reflects the new flags
+    const updated = await getChatOrThrow(session, chat.id._serialized);
+    res.json({ success: true, action: req.params.action, chat: publicChat(updated) });
+  } catch (error) {
+    sendClientError(session, res, error, `Chat ${req.params.action}`);
+  }
+});
+
+app.get('/api/contacts', requireScope('read'), async (req, res) => {
+  setNoCache(res);
+  const session = resolveReadySession(req, res);
+  if (!session) return;
+
+  try {
+    const { q, isMyContact, includeGroups } = req.query;
+    const limit = parsePageLimit(req.query.limit, 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const search = q ? String(q).toLowerCase() : null;
+    const searchDigits = search ? search.replace(/\D/g, '') : '';
+
+    const contacts = (await session.client.getContacts())
+      .filter(contact => isTruthy(includeGroups) || !contact.isGroup)
+      .filter(contact => isMyContact === undefined || contact.isMyContact === isTruthy(isMyContact))
+      .filter(contact => {
+        if (!search) return true;
+        const names = [contact.name, contact.pushname, contact.shortName].filter(Boolean).map(n => n.toLowerCase());
+        return names.some(n => n.includes(search)) || (searchDigits && (contact.number || '').includes(searchDigits));
+      })
+      .sort((a, b) => (a.name || a.pushname || a.number || '').localeCompare(b.name || b.pushname || b.number || ''));
+
+    res.json({
+      success: true,
+      total: contacts.length,
+      contacts: contacts.slice(offset, offset + limit).map(publicContact)
     });
+  } catch (error) {
+    sendClientError(session, res, error, 'List contacts');
   }
 });
 
-app.get('/api/qr', async (req, res) => {
+// Group management endpoints
+const GROUP_PARTICIPANT_ACTIONS = {
+  add: 'addParticipants',
+  remove: 'removeParticipants',
+  promote: 'promoteParticipants',
+  demote: 'demoteParticipants'
+};
+
+async function getGroupOrThrow(session, groupId) {
+  const chat = await getChatOrThrow(session, groupId);
+  if (!chat.isGroup) throw httpError(400, 'Chat is not a group');
+  return chat;
+}
+
+// Participants may be phone numbers or "...@c.us" ids
+function parseParticipants(value) {
+  if (!Array.isArray(value) || !value.length) {
+    throw httpError(400, '"participants" must be a non-empty array of phone numbers');
+  }
+  return value.map(participant => resolveRecipient(participant, { groups: false }));
+}
+
+// Accept "https://chat.whatsapp.com/<code>" or the bare code
+function parseInviteCode(value) {
+  const code = String(value || '').trim().replace(/^https?:\/\/chat\.whatsapp\.com\//i, '').replace(/[/?#].*$/, '');
+  if (!/^[A-Za-z0-9]{10,40}$/.test(code)) {
+    throw httpError(400, 'A valid "inviteCode" or invite link is required');
+  }
+  return code;
+}
+
+function publicGroup(chat, includeParticipants) {
+  const participants = chat.participants || [];
+  return {
+    id: chat.id._serialized,
+    name: chat.name || null,
+    description: chat.description || null,
+    owner: chat.owner?._serialized || null,
+    createdAt: chat.createdAt ? new Date(chat.createdAt).toISOString() : null,
+    participantCount: participants.length,
+    unreadCount: chat.unreadCount || 0,
+    archived: chat.archived || false,
+    isReadOnly: chat.isReadOnly || false,
+    settings: {
+      messagesAdminsOnly: chat.groupMetadata?.announce || false,
+      infoAdminsOnly: chat.groupMetadata?.restrict || false
+    },
+    participants: includeParticipants
+      ? participants.map(p => ({ id: p.id._serialized, isAdmin: p.isAdmin || false, isSuperAdmin: p.isSuperAdmin || false }))
+      : undefined
+  };
+}
+
+app.get('/api/groups', requireScope('read'), async (req, res) => {
   setNoCache(res);
-  const state = getEffectiveState();
-  const qrValue = state.qr;
-  if (!qrValue) {
-    return res.json({ qr: null });
+  const session = resolveReadySession(req, res);
+  if (!session) return;
+
+  try {
+    const groups = (await session.client.getChats()).filter(chat => chat.isGroup);
+    res.json({ success: true, total: groups.length, groups: groups.map(chat => publicGroup(chat, false)) });
+  } catch (error) {
+    sendClientError(session, res, error, 'List groups');
   }
-  
+});
+
+app.post('/api/groups', requireScope('send'), async (req, res) => {
+  const session = resolveReadySession(req, res);
+  if (!session) return;
+
   try {
-    const qrImage = await qrcode.toDataURL(qrValue);
-    res.json({ qr: qrImage });
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      throw httpError(400, 'Group "name" is required');
+    }
+    const participants = parseParticipants(req.body.participants);
+
+    // createGroup returns an error message string when WhatsApp refuses
+    const result = await session.client.createGroup(name, participants);
+    if (typeof result === 'string') {
+      throw httpError(400, result);
+    }
+
+    log.info(`👥 Group created: ${result.gid._serialized} "${name}"`, { sessionId: session.id });
+    res.status(201).json({
+      success: true,
+      id: result.gid._serialized,
+      name: result.title || name,
+      participants: result.participants || {}
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendClientError(session, res, error, 'Create group');
   }
 });
 
-app.post('/api/send', async (req, res) => {
-  const { to, message } = req.body;
+app.post('/api/groups/join', requireScope('send'), async (req, res) => {
+  const session = resolveReadySession(req, res);
+  if (!session) return;
 
-  console.log(`📤 SEND REQUEST - Raw 'to': "${to}", Message: "${message?.substring(0, 50)}..."`);
+  try {
+    const inviteCode = parseInviteCode(req.body.inviteCode || req.body.inviteLink);
+    const groupId = await session.client.acceptInvite(inviteCode);
+    log.info(`👥 Joined group: ${groupId}`, { sessionId: session.id });
+    res.json({ success: true, id: groupId });
+  } catch (error) {
+    sendClientError(session, res, error, 'Join group');
+  }
+});
 
-  if (!isReady) {
-    return res.status(400).json({ error: 'WhatsApp not ready' });
+app.get('/api/groups/:groupId', requireScope('read'), async (req, res) => {
+  setNoCache(res);
+  const session = resolveReadySession(req, res);
+  if (!session) return;
+
+  try {
+    const group = await getGroupOrThrow(session, req.params.groupId);
+    res.json({ success: true, group: publicGroup(group, true) });
+  } catch (error) {
+    sendClientError(session, res, error, 'Get group');
+  }
+});
+
+// Update subject, description and settings. Only the fields sent are changed.
+app.patch('/api/groups/:groupId', requireScope('send'), async (req, res) => {
+  const session = resolveReadySession(req, res);
+  if (!session) return;
+
+  const { subject, description, messagesAdminsOnly, infoAdminsOnly } = req.body || {};
+  const changes = [
+    ['subject', subject, group => group.setSubject(String(subject))],
+    ['description', description, group => group.setDescription(String(description))],
+    ['messagesAdminsOnly', messagesAdminsOnly, group => group.setMessagesAdminsOnly(messagesAdminsOnly === true)],
+    ['infoAdminsOnly', infoAdminsOnly, group => group.setInfoAdminsOnly(infoAdminsOnly === true)]
+  ].filter(([, value]) => value !== undefined);
+
+  if (!changes.length) {
+    return res.status(400).json({ error: 'Nothing to update (subject, description, messagesAdminsOnly, infoAdminsOnly)' });
+  }
+  for (const [field, value] of changes) {
+    const valid = field === 'subject' || field === 'description' ? typeof value === 'string' : typeof value === 'boolean';
+    if (!valid || (field === 'subject' && !value.trim())) {
+      return res.status(400).json({ error: `Invalid "${field}"` });
+    }
   }
 
   try {
-    if (!to) {
-      throw new Error('Phone number ("to") is required');
+    const group = await getGroupOrThrow(session, req.params.groupId);
+    // Each setter resolves false when we are not allowed to change it
+    for (const [field, , apply] of changes) {
+      if (await apply(group) === false) {
+        throw httpError(403, `Not allowed to change "${field}" - group admin rights are required`);
+      }
     }
+    log.info(`👥 Group updated: ${group.id._serialized} ${changes.map(([field]) => field).join(', ')}`, { sessionId: session.id });
 
-    // Format phone number for WhatsApp
-    let formattedNumber = to.replace(/\D/g, ''); // Remove non-digits
-    
-    console.log(`📞 Formatted number: "${formattedNumber}" (${formattedNumber.length} digits)`);
+    const updated = await getGroupOrThrow(session, group.id._serialized);
+    res.json({ success: true, group: publicGroup(updated, true) });
+  } catch (error) {
+    sendClientError(session, res, error, 'Update group');
+  }
+});
 
-    // Validate number length (should be 10-15 digits with country code)
-    if (formattedNumber.length < 10 || formattedNumber.length > 15) {
-      throw new Error(`Invalid phone number: "${to}" -> "${formattedNumber}" (${formattedNumber.length} digits). Include country code (10-15 digits total)`);
-    }
+// add, remove, promote or demote participants
+app.post('/api/groups/:groupId/participants/:action', requireScope('send'), async (req, res) => {
+  const method = GROUP_PARTICIPANT_ACTIONS[req.params.action];
+  if (!method) {
+    return res.status(404).json({ error: `Unknown participant action "${req.params.action}"` });
+  }
+  const session = resolveReadySession(req, res);
+  if (!session) return;
 
-    // WhatsApp format: number@c.us
-    const chatId = formattedNumber + '@c.us';
-    
-    console.log(`💬 Sending to chatId: ${chatId}`);
+  try {
+    const participants = parseParticipants(req.body.participants);
+    const group = await getGroupOrThrow(session, req.params.groupId);
+    const result = await group[method](participants);
+    log.info(`👥 Group ${req.params.action}: ${group.id._serialized} ${participants.join(', ')}`, { sessionId: session.id });
+    res.json({ success: true, action: req.params.action, participants, result: result ?? null });
+  } catch (error) {
+    sendClientError(session, res, error, `Group ${req.params.action}`);
+  }
+});
 
-    console.log(`📤 Sending message to ${chatId}: ${message}`);
+app.get('/api/groups/:groupId/invite', requireScope('read'), async (req, res) => {
+  setNoCache(res);
+  const session = resolveReadySession(req, res);
+  if (!session) return;
 
-    const result = await client.sendMessage(chatId, message);
-    res.json({
-      success: true,
-      id: result.id._serialized,
-      to: chatId
+  try {
+    const group = await getGroupOrThrow(session, req.params.groupId);
+    const inviteCode = await group.getInviteCode();
+    res.json({ success: true, inviteCode, inviteLink: `https://chat.whatsapp.com/${inviteCode}` });
+  } catch (error) {
+    sendClientError(session, res, error, 'Get group invite');
+  }
+});
+
+// Invalidate the current link and return the new one
+app.post('/api/groups/:groupId/invite/revoke', requireScope('send'), async (req, res) => {
+  const session = resolveReadySession(req, res);
+  if (!session) return;
+
+  try {
+    const group = await getGroupOrThrow(session, req.params.groupId);
+    await group.revokeInvite();
+    const inviteCode = await group.getInviteCode();
+    log.info(`👥 Group invite revoked: ${group.id._serialized}`, { sessionId: session.id });
+    res.json({ success: true, inviteCode, inviteLink: `https://chat.whatsapp.com/${inviteCode}` });
+  } catch (error) {
+    sendClientError(session, res, error, 'Revoke group invite');
+  }
+});
+
+app.post('/api/groups/:groupId/leave', requireScope('send'), async (req, res) => {
+  const session = resolveReadySession(req, res);
+  if (!session) return;
+
+  try {
+    const group = await getGroupOrThrow(session, req.params.groupId);
+    await group.leave();
+    log.info(`👥 Left group: ${group.id._serialized}`, { sessionId: session.id });
+    res.json({ success: true, id: group.id._serialized });
+  } catch (error) {
+    sendClientError(session, res, error, 'Leave group');
+  }
+});
+
+// Campaign endpoints
+app.post('/api/campaigns', requireScope('send'), (req, res) => {
+  const body = req.body || {};
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  const name = typeof body.name === 'string' && body.name.trim() ? body.name.trim() : null;
+  const template = typeof body.template === 'string' ? body.template : '';
+  const ratePerMinute = body.ratePerMinute === undefined ? CAMPAIGN_RATE_PER_MINUTE : Number(body.ratePerMinute);
+  const jitter = body.jitter === undefined ? 0.3 : Number(body.jitter);
+  const variables = typeof body.variables === 'object' && body.variables !== null ? body.variables : {};
+
+  if (!template.trim()) {
+    return res.status(400).json({ error: 'Message "template" is required' });
+  }
+  if (!Array.isArray(body.recipients) || !body.recipients.length) {
+    return res.status(400).json({ error: '"recipients" must be a non-empty array' });
+  }
+  if (body.recipients.length > CAMPAIGN_MAX_RECIPIENTS) {
+    return res.status(413).json({ error: `Too many recipients (${body.recipients.length}). The limit is ${CAMPAIGN_MAX_RECIPIENTS}` });
+  }
+  if (!(ratePerMinute > 0 && ratePerMinute <= 120)) {
+    return res.status(400).json({ error: '"ratePerMinute" must be between 1 and 120' });
+  }
+  if (!(jitter >= 0 && jitter <= 0.9)) {
+    return res.status(400).json({ error: '"jitter" must be between 0 and 0.9' });
+  }
+
+  const now = new Date().toISOString();
+  const startPaused = body.startPaused === true;
+  const campaign = {
+    id: crypto.randomUUID(),
+    name,
+    sessionId: session.id,
+    status: startPaused ? 'paused' : 'running',
+    template,
+    variables,
+    ratePerMinute,
+    jitter,
+    recipients: buildCampaignRecipients(body.recipients, template, variables),
+    nextSendAt: now,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: startPaused ? null : now,
+    finishedAt: null
+  };
+  finishCampaignIfDone(campaign);
+  campaigns.push(campaign);
+  saveCampaign(campaign);
+  log.info('📣 Campaign created', { sessionId: session.id, campaignId: campaign.id, name: name || undefined, recipients: campaign.recipients.length });
+
+  res.status(201).json({ success: true, ...summarizeCampaign(campaign) });
+});
+
+app.get('/api/campaigns', requireScope('read'), (req, res) => {
+  setNoCache(res);
+  res.json({ success: true, campaigns: campaigns.map(summarizeCampaign) });
+});
+
+app.get('/api/campaigns/:campaignId', requireScope('read'), (req, res) => {
+  setNoCache(res);
+  const campaign = campaigns.find(c => c.id === req.params.campaignId);
+  if (!campaign) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+  res.json(summarizeCampaign(campaign));
+});
+
+// Per-recipient report (?status=sent|failed|skipped|opted_out|pending|cancelled)
+app.get('/api/campaigns/:campaignId/recipients', requireScope('read'), (req, res) => {
+  setNoCache(res);
+  const campaign = campaigns.find(c => c.id === req.params.campaignId);
+  if (!campaign) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const recipients = req.query.status
+    ? campaign.recipients.filter(r => r.status === req.query.status)
+    : campaign.recipients;
+
+  res.json({
+    success: true,
+    total: recipients.length,
+    recipients: recipients.slice(offset, offset + limit).map(({ to, chatId, variables, status, attempts, messageId, error, sentAt }) => ({
+      to, chatId, variables, status, attempts, messageId, error, sentAt
+    }))
+  });
+});
+
+// pause, resume or cancel
+const CAMPAIGN_ACTIONS = {
+  pause: { from: ['running'], to: 'paused' },
+  resume: { from: ['paused'], to: 'running' },
+  cancel: { from: ['running', 'paused'], to: 'cancelled' }
+};
+
+app.post('/api/campaigns/:campaignId/:action', requireScope('send'), (req, res) => {
+  const action = CAMPAIGN_ACTIONS[req.params.action];
+  if (!action) {
+    return res.status(404).json({ error: `Unknown campaign action "${req.params.action}"` });
+  }
+  const campaign = campaigns.find(c => c.id === req.params.campaignId);
+  if (!campaign) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+  if (!action.from.includes(campaign.status)) {
+    return res.status(409).json({ error: `Cannot ${req.params.action} a campaign that is ${campaign.status}` });
+  }
+
+  const now = new Date().toISOString();
+  campaign.status = action.to;
+  campaign.updatedAt = now;
+  if (action.to === 'running') {
+    campaign.startedAt = campaign.startedAt || now;
+    campaign.nextSendAt = now;
+  }
+  if (action.to === 'cancelled') {
+    campaign.finishedAt = now;
+    campaign.recipients.forEach((recipient) => {
+      if (recipient.status === 'pending') recipient.status = 'cancelled';
     });
+  }
+  saveCampaign(campaign);
+  log.info(`📣 Campaign ${req.params.action} ${campaign.id}`, { sessionId: campaign.sessionId });
+  res.json({ success: true, ...summarizeCampaign(campaign) });
+});
+
+// Opt-out list endpoints
+app.get('/api/opt-outs', requireScope('read'), (req, res) => {
+  setNoCache(res);
+  res.json({ success: true, keywords: OPT_OUT_KEYWORDS, optOuts: Object.values(optOuts) });
+});
+
+app.post('/api/opt-outs', requireScope('send'), (req, res) => {
+  const phones = req.body && Array.isArray(req.body.phones) ? req.body.phones : null;
+  if (!phones || !phones.length) {
+    return res.status(400).json({ error: '"phones" must be a non-empty array' });
+  }
+
+  try {
+    const chatIds = phones.map(phone => resolveRecipient(phone, { groups: false }));
+    const added = chatIds.filter(chatId => addOptOut(chatId, { source: 'api' }));
+    res.json({ success: true, added: added.length, chatIds });
   } catch (error) {
-    console.error('❌ Send message error:', error);
-    if (isPuppeteerDetachedFrameError(error)) {
-      isReady = false;
-      lastDisconnectAt = new Date().toISOString();
-      writeStateFile();
-      scheduleReinit('send:detached_frame');
-    }
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// Removing an opt-out lets campaigns message the number again, so it needs admin
+app.delete('/api/opt-outs/:phone', requireScope('admin'), (req, res) => {
+  let chatId;
+  try {
+    chatId = resolveRecipient(req.params.phone, { groups: false });
+  } catch (error) {
+    return res.status(400).json(errorBody(error));
+  }
+  if (!optOuts[chatId]) {
+    return res.status(404).json({ error: 'Not on the opt-out list' });
+  }
+  delete optOuts[chatId];
+  saveOptOuts();
+  log.info(`✅ Opt-out removed: ${chatId}`);
+  res.json({ success: true, chatId });
+});
+
+// Scheduled message endpoints
+app.post('/api/scheduled', requireScope('send'), (req, res) => {
+  const body = req.body || {};
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  const now = new Date().toISOString();
+  const schedule = {
+    id: crypto.randomUUID(),
+    sessionId: session.id,
+    to: null,
+    message: null,
+    status: 'scheduled',
+    sendAt: null,
+    timezone: null,
+    anchor: null,
+    recurrence: null,
+    catchUp: null,
+    attempts: 0,
+    nextAttemptAt: null,
+    runCount: 0,
+    occurrences: 0,
+    lastRunAt: null,
+    lastMessageId: null,
+    lastError: null,
+    history: [],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  try {
+    applyScheduleInput(schedule, body, true);
+  } catch (error) {
+    return res.status(error.status || 500).json(errorBody(error));
   }
+
+  scheduledMessages.push(schedule);
+  saveScheduled();
+  log.info('⏰ Message scheduled', { sessionId: session.id, scheduleId: schedule.id, to: schedule.to, sendAt: schedule.sendAt, recurrence: schedule.recurrence || undefined });
+  res.status(201).json({ success: true, ...publicSchedule(schedule) });
 });
 
-app.post('/api/check-user', async (req, res) => {
-  const { phone } = req.body;
+app.get('/api/scheduled', requireScope('read'), (req, res) => {
+  setNoCache(res);
+  const { status, sessionId } = req.query;
+  const list = scheduledMessages
+    .filter(s => !status || s.status === status)
+    .filter(s => !sessionId || s.sessionId === sessionId)
+    .sort((a, b) => Date.parse(a.sendAt) - Date.parse(b.sendAt));
+  res.json({ success: true, scheduled: list.map(publicSchedule) });
+});
 
-  if (!isReady) {
-    return res.status(400).json({ error: 'WhatsApp not ready' });
+app.get('/api/scheduled/:scheduleId', requireScope('read'), (req, res) => {
+  setNoCache(res);
+  const schedule = scheduledMessages.find(s => s.id === req.params.scheduleId);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Scheduled message not found' });
   }
+  res.json(publicSchedule(schedule));
+});
 
-  if (!phone) {
-    return res.status(400).json({ error: 'Phone number is required' });
+// Change the message, recipient, time, timezone, recurrence or catch-up policy
+app.patch('/api/scheduled/:scheduleId', requireScope('send'), (req, res) => {
+  const schedule = scheduledMessages.find(s => s.id === req.params.scheduleId);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Scheduled message not found' });
+  }
+  if (schedule.status !== 'scheduled') {
+    return res.status(409).json({ error: `Cannot update a scheduled message that is ${schedule.status}` });
   }
 
+  // Validate on a copy so a bad field leaves the schedule untouched
+  const updated = { ...schedule };
   try {
-    // Format phone number for WhatsApp
-    let formattedNumber = phone.replace(/\D/g, ''); // Remove non-digits
-
-    // Validate number length (should be 10-15 digits with country code)
-    if (formattedNumber.length < 10 || formattedNumber.length > 15) {
-      throw new Error('Invalid phone number length. Include country code (10-15 digits total)');
-    }
+    applyScheduleInput(updated, req.body || {}, false);
+  } catch (error) {
+    return res.status(error.status || 500).json(errorBody(error));
+  }
 
-    // WhatsApp format: number@c.us
-    const chatId = formattedNumber + '@c.us';
+  Object.assign(schedule, updated, { attempts: 0, nextAttemptAt: null, updatedAt: new Date().toISOString() });
+  saveScheduled();
+  log.info(`⏰ Scheduled message updated ${schedule.id} at=${schedule.sendAt}`, { sessionId: schedule.sessionId });
+  res.json({ success: true, ...publicSchedule(schedule) });
+});
 
-    console.log(`🔍 Checking user: ${chatId}`);
+app.delete('/api/scheduled/:scheduleId', requireScope('send'), (req, res) => {
+  const schedule = scheduledMessages.find(s => s.id === req.params.scheduleId);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Scheduled message not found' });
+  }
+  if (schedule.status === 'scheduled') {
+    schedule.status = 'cancelled';
+    schedule.updatedAt = new Date().toISOString();
+    saveScheduled();
+    log.info(`🛑 Scheduled message cancelled ${schedule.id}`, { sessionId: schedule.sessionId });
+  }
+  res.json({ success: true, ...publicSchedule(schedule) });
+});
 
-    // Check if number is registered on WhatsApp
-    const isRegistered = await client.isRegisteredUser(chatId);
+// Auto-reply rule endpoints
+app.get('/api/rules', requireScope('read'), (req, res) => {
+  setNoCache(res);
+  res.json({ success: true, rules });
+});
 
-    if (!isRegistered) {
-      return res.json({
-        success: true,
-        isWhatsAppUser: false,
-        phone: formattedNumber,
-        message: 'This number is not a WhatsApp user'
-      });
-    }
+app.post('/api/rules', requireScope('admin'), (req, res) => {
+  const parsed = parseRuleInput(req.body, false);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
 
-    // Get contact info
-    const contact = await client.getContactById(chatId);
+  const now = new Date().toISOString();
+  const rule = {
+    id: crypto.randomUUID(),
+    name: null,
+    enabled: true,
+    priority: 100,
+    stopOnMatch: true,
+    cooldownSeconds: 0,
+    ...parsed.fields,
+    matchCount: 0,
+    lastMatchedAt: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  rules.push(rule);
+  sortRules();
+  saveRules();
+  log.info(`🤖 Rule created: ${rule.id} "${rule.name || ''}" actions=${rule.actions.map(a => a.type).join(',')}`);
+  res.status(201).json({ success: true, rule });
+});
 
-    // Get profile picture URL
-    let profilePicUrl = null;
-    try {
-      profilePicUrl = await client.getProfilePicUrl(chatId);
-    } catch (picError) {
-      console.log('No profile picture or privacy settings prevent access');
-    }
+// Dry run: evaluate rules against a sample message without sending anything.
+// Registered before /api/rules/:ruleId routes so "test" isn't taken as an id.
+app.post('/api/rules/test', requireScope('read'), (req, res) => {
+  const { body, from, isGroup, type, sessionId, at, ruleId, senderName } = req.body || {};
+  const now = at ? new Date(at) : new Date();
+  if (isNaN(now.getTime())) {
+    return res.status(400).json({ error: 'Invalid "at" time' });
+  }
 
-    res.json({
-      success: true,
-      isWhatsAppUser: true,
-      phone: formattedNumber,
-      name: contact.pushname || contact.name || null,
-      profilePicture: profilePicUrl
-    });
+  let sender = 'test@c.us';
+  try {
+    if (from) sender = resolveRecipient(from, { groups: false });
   } catch (error) {
-    console.error('❌ Check user error:', error);
-    if (isPuppeteerDetachedFrameError(error)) {
-      isReady = false;
-      lastDisconnectAt = new Date().toISOString();
-      writeStateFile();
-      scheduleReinit('check-user:detached_frame');
-    }
-    res.status(500).json({ error: error.message });
+    return res.status(400).json(errorBody(error));
+  }
+  const message = {
+    sessionId: sessionId || DEFAULT_SESSION_ID,
+    chatId: isGroup ? 'test@g.us' : sender,
+    isGroup: !!isGroup,
+    sender,
+    senderName: senderName || null,
+    body: String(body || ''),
+    type: type || 'chat'
+  };
+
+  const only = ruleId && rules.find(r => r.id === ruleId);
+  if (ruleId && !only) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+  const results = only ? [{ rule: only, ...evaluateRule(only, message, now) }] : selectRules(message, now);
+  res.json({
+    success: true,
+    message,
+    matched: results.filter(r => r.matched).map(r => r.rule.id),
+    results: results.map(({ rule, matched, reason }) => ({
+      ruleId: rule.id,
+      name: rule.name,
+      matched,
+      reason,
+      actions: matched
+        ? rule.actions.map(action => action.type === 'reply' && action.text
+          ? { ...action, text: renderRuleText(action.text, message) }
+          : action)
+        : undefined
+    }))
+  });
+});
+
+app.get('/api/rules/:ruleId', requireScope('read'), (req, res) => {
+  setNoCache(res);
+  const rule = rules.find(r => r.id === req.params.ruleId);
+  if (!rule) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+  res.json({ success: true, rule });
+});
+
+app.patch('/api/rules/:ruleId', requireScope('admin'), (req, res) => {
+  const rule = rules.find(r => r.id === req.params.ruleId);
+  if (!rule) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+  const parsed = parseRuleInput(req.body, true);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  Object.assign(rule, parsed.fields, { updatedAt: new Date().toISOString() });
+  sortRules();
+  saveRules();
+  log.info(`🤖 Rule updated: ${rule.id}`);
+  res.json({ success: true, rule });
+});
+
+app.delete('/api/rules/:ruleId', requireScope('admin'), (req, res) => {
+  const index = rules.findIndex(r => r.id === req.params.ruleId);
+  if (index === -1) {
+    return res.status(404).json({ error: 'Rule not found' });
   }
+  const [rule] = rules.splice(index, 1);
+  for (const key of ruleCooldowns.keys()) {
+    if (key.startsWith(`${rule.id}:`)) ruleCooldowns.delete(key);
+  }
+  saveRules();
+  log.info(`🗑️  Rule deleted: ${rule.id}`);
+  res.json({ success: true, deleted: rule.id });
 });
 
 // Webhook management endpoints
-app.get('/api/webhook', async (req, res) => {
-  const checkId = Math.random().toString(36).substring(2, 10).toUpperCase();
+// Send a test payload to a webhook and describe the result. Used by the
+// legacy GET /api/webhook check and POST /api/webhooks/:id/test.
+async function testWebhook(webhook) {
+  // The check is identified by the id of the request that triggered it
+  const checkId = currentCorrelationId() || crypto.randomUUID();
   const startTime = Date.now();
   
-  console.log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-  console.log(`🔍 WEBHOOK CHECK [${checkId}] - STARTING`);
-  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-  console.log(`⏰ Time: ${new Date().toISOString()}`);
-  console.log(`📋 Configured URL: ${webhookUrl || 'NOT SET'}`);
-  console.log(`📊 Enabled: ${webhookEnabled}`);
+  log.info('🔍 WEBHOOK CHECK - STARTING', {
+    checkId,
+    webhookId: webhook ? webhook.id : null,
+    url: webhook ? maskWebhookUrl(webhook.url) : 'NOT SET',
+    enabled: webhook ? webhook.enabled : false
+  });
   
   // Basic info response
   const basicInfo = {
-    enabled: webhookEnabled,
-    url: webhookUrl ? webhookUrl.replace(/(?<=:\/\/).*(?=@)/, '***') : null,
+    ...(webhook ? publicWebhook(webhook) : { enabled: false, url: null }),
     checkId: checkId,
     checkedAt: new Date().toISOString()
   };
   
   // If no webhook configured, return early
-  if (!webhookUrl) {
-    console.log(`⚠️  No webhook URL configured`);
-    console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
-    return res.json({
+  if (!webhook || !webhook.url) {
+    log.warn('⚠️  No webhook URL configured', { checkId });
+    return {
       ...basicInfo,
       status: 'NOT_CONFIGURED',
       reachable: false,
       message: 'Webhook URL is not set'
-    });
+    };
   }
   
-  if (!webhookEnabled) {
-    console.log(`⚠️  Webhook is DISABLED`);
-    console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
-    return res.json({
+  if (!webhook.enabled) {
+    log.warn('⚠️  Webhook is DISABLED', { checkId });
+    return {
       ...basicInfo,
       status: 'DISABLED',
       reachable: false,
       message: 'Webhook is disabled'
-    });
+    };
   }
   
   // Actually test the webhook with a test message
-  console.log(`🧪 Testing webhook with message schema...`);
+  log.debug('🧪 Testing webhook with message schema...', { checkId });
   
   try {
     // Send a test payload that matches the actual WhatsApp message schema
     const testPayload = {
+      event: 'message.in',
       id: `test_${checkId}`,
       from: 'test@c.us',
       fromName: 'Webhook Test',
@@ -695,24 +6410,21 @@ app.get('/api/webhook', async (req, res) => {
       _checkId: checkId
     };
     
-    const response = await axios.post(webhookUrl, testPayload, {
-      headers: { 'Content-Type': 'application/json' },
+    const { body, headers } = buildSignedWebhookRequest(webhook, testPayload);
+    const response = await axios.post(webhook.url, body, {
+      headers: { ...headers, 'X-Webhook-Id': webhook.id, 'X-Webhook-Event': 'message.in', 'X-Correlation-Id': checkId },
       timeout: 10000,
       validateStatus: () => true // Accept any status code
     });
     
     const duration = Date.now() - startTime;
     
-    console.log(`✅ WEBHOOK CHECK SUCCESS [${checkId}]`);
-    console.log(`⏱️  Response Time: ${duration}ms`);
-    console.log(`📊 Status Code: ${response.status}`);
-    console.log(`📄 Response:`, response.data);
-    console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
+    log.info('✅ WEBHOOK CHECK SUCCESS', { checkId, durationMs: duration, httpStatus: response.status, response: response.data });
     
     // Determine health based on status code
     const isHealthy = response.status >= 200 && response.status < 300;
     
-    res.json({
+    return {
       ...basicInfo,
       status: isHealthy ? 'HEALTHY' : 'UNHEALTHY',
       reachable: true,
@@ -722,26 +6434,22 @@ app.get('/api/webhook', async (req, res) => {
       httpStatusText: response.statusText,
       responsePreview: response.data,
       message: isHealthy ? 'Webhook is working correctly' : `Webhook returned ${response.status}`
-    });
+    };
     
   } catch (error) {
     const duration = Date.now() - startTime;
     
-    console.error(`❌ WEBHOOK CHECK FAILED [${checkId}]`);
-    console.error(`⏱️  Duration: ${duration}ms`);
-    console.error(`💥 Error: ${error.message}`);
-    
+    let hint;
     if (error.code === 'ECONNREFUSED') {
-      console.error(`🔌 Connection refused - server not running`);
+      hint = '🔌 Connection refused - server not running';
     } else if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
-      console.error(`⏰ Request timed out`);
+      hint = '⏰ Request timed out';
     } else if (error.code === 'ENOTFOUND') {
-      console.error(`🌐 DNS lookup failed - domain not found`);
+      hint = '🌐 DNS lookup failed - domain not found';
     }
+    log.error('❌ WEBHOOK CHECK FAILED', { checkId, durationMs: duration, error: error.message, code: error.code, hint });
     
-    console.error(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
-    
-    res.json({
+    return {
       ...basicInfo,
       status: 'UNREACHABLE',
       reachable: false,
@@ -750,43 +6458,100 @@ app.get('/api/webhook', async (req, res) => {
       error: error.message,
       errorCode: error.code,
       message: `Webhook unreachable: ${error.message}`
-    });
+    };
   }
+}
+
+function parseGraceSeconds(body) {
+  const { graceSeconds } = body || {};
+  const grace = graceSeconds !== undefined ? parseInt(graceSeconds, 10) : WEBHOOK_SECRET_GRACE_SECONDS;
+  return Number.isNaN(grace) || grace < 0 ? null : grace;
+}
+
+// Legacy single-webhook endpoints - they manage the "default" subscription
+app.get('/api/webhook', requireScope('admin'), async (req, res) => {
+  res.json(await testWebhook(getLegacyWebhook()));
 });
 
-app.post('/api/webhook', (req, res) => {
-  const { url } = req.body;
+app.post('/api/webhook', requireScope('admin'), (req, res) => {
+  const { url, secret } = req.body;
+  const { error, fields } = parseWebhookInput({ url, secret }, false);
   
-  if (!url) {
-    return res.status(400).json({ error: 'Webhook URL is required' });
+  if (error) {
+    return res.status(400).json({ error });
   }
-  
-  // Basic URL validation
-  try {
-    new URL(url);
-  } catch (error) {
-    return res.status(400).json({ error: 'Invalid URL format' });
+
+  let webhook = getLegacyWebhook();
+  if (!webhook) {
+    webhook = createWebhookRecord({ id: LEGACY_WEBHOOK_ID, url });
+    webhooks.push(webhook);
+  }
+  webhook.url = fields.url;
+  webhook.enabled = true;
+  webhook.updatedAt = new Date().toISOString();
+
+  // Keep the existing signing secret unless a new one is given; generate
+  // one the first time so every webhook is signed
+  let newSecret = null;
+  if (fields.secret) {
+    newSecret = fields.secret;
+  } else if (!webhook.secret) {
+    newSecret = generateWebhookSecret();
+  }
+  if (newSecret) {
+    webhook.secret = newSecret;
+    webhook.previousSecret = null;
+    webhook.previousSecretExpiresAt = null;
   }
-  
-  webhookUrl = url;
-  webhookEnabled = true;
   
   // Save to disk so it persists after restart
   saveWebhookConfig();
   
-  console.log('✅ Webhook configured and saved:', url);
+  log.info('✅ Webhook configured and saved', { url: maskWebhookUrl(url) });
   
   res.json({
     success: true,
-    enabled: webhookEnabled,
-    url: webhookUrl.replace(/(?<=:\/\/).*(?=@)/, '***')
+    enabled: webhook.enabled,
+    url: maskWebhookUrl(webhook.url),
+    // Only returned when it changes - it cannot be read back later
+    secret: newSecret || undefined
+  });
+});
+
+// Rotate the signing secret. Deliveries are signed with both secrets until
+// the grace window ends, so receivers can switch over without dropping events.
+app.post('/api/webhook/secret/rotate', requireScope('admin'), (req, res) => {
+  const webhook = getLegacyWebhook();
+  const grace = parseGraceSeconds(req.body);
+
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook is not configured' });
+  }
+
+  if (grace === null) {
+    return res.status(400).json({ error: '"graceSeconds" must be a non-negative number' });
+  }
+
+  rotateWebhookSecret(webhook, grace);
+  saveWebhookConfig();
+
+  log.info(`🔐 Webhook secret rotated [${webhook.id}] (previous valid until ${webhook.previousSecretExpiresAt || 'now'})`);
+
+  res.json({
+    success: true,
+    secret: webhook.secret,
+    previousSecretExpiresAt: webhook.previousSecretExpiresAt
   });
 });
 
-app.delete('/api/webhook', (req, res) => {
-  webhookEnabled = false;
-  saveWebhookConfig(); // Persist the disabled state
-  console.log('🔕 Webhook disabled and saved');
+app.delete('/api/webhook', requireScope('admin'), (req, res) => {
+  const webhook = getLegacyWebhook();
+  if (webhook) {
+    webhook.enabled = false;
+    webhook.updatedAt = new Date().toISOString();
+    saveWebhookConfig(); // Persist the disabled state
+  }
+  log.info('🔕 Webhook disabled and saved');
   
   res.json({
     success: true,
@@ -794,47 +6559,348 @@ app.delete('/api/webhook', (req, res) => {
   });
 });
 
+// Webhook subscription endpoints
+app.get('/api/webhooks', requireScope('admin'), (req, res) => {
+  setNoCache(res);
+  res.json({
+    webhooks: webhooks.map(publicWebhook),
+    eventTypes: WEBHOOK_EVENT_TYPES
+  });
+});
+
+app.post('/api/webhooks', requireScope('admin'), (req, res) => {
+  const { error, fields } = parseWebhookInput(req.body, false);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const webhook = createWebhookRecord({
+    ...fields,
+    secret: fields.secret || generateWebhookSecret()
+  });
+  webhooks.push(webhook);
+  saveWebhookConfig();
+
+  log.info(`✅ Webhook subscription created [${webhook.id}]: ${maskWebhookUrl(webhook.url)} events=${webhook.eventTypes.join(',')}`);
+
+  res.status(201).json({
+    success: true,
+    ...publicWebhook(webhook),
+    secret: webhook.secret
+  });
+});
+
+app.get('/api/webhooks/:id', requireScope('admin'), (req, res) => {
+  setNoCache(res);
+  const webhook = webhooks.find(w => w.id === req.params.id);
+
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  res.json(publicWebhook(webhook));
+});
+
+app.patch('/api/webhooks/:id', requireScope('admin'), (req, res) => {
+  const webhook = webhooks.find(w => w.id === req.params.id);
+
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  const { error, fields } = parseWebhookInput(req.body, true);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (fields.secret) {
+    webhook.previousSecret = null;
+    webhook.previousSecretExpiresAt = null;
+  }
+  Object.assign(webhook, fields, { updatedAt: new Date().toISOString() });
+  saveWebhookConfig();
+
+  log.info(`✏️  Webhook subscription updated [${webhook.id}]`);
+
+  res.json({ success: true, ...publicWebhook(webhook) });
+});
+
+app.delete('/api/webhooks/:id', requireScope('admin'), (req, res) => {
+  const webhook = webhooks.find(w => w.id === req.params.id);
+
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  webhooks = webhooks.filter(w => w !== webhook);
+  saveWebhookConfig();
+
+  // Pending events for this subscription have nowhere to go any more
+  webhookDeliveries = webhookDeliveries.filter(d => d.webhookId !== webhook.id || d.status !== 'pending');
+  saveWebhookDeliveries();
+
+  log.info(`🗑️  Webhook subscription deleted [${webhook.id}]`);
+
+  res.json({ success: true, id: webhook.id });
+});
+
+app.post('/api/webhooks/:id/secret/rotate', requireScope('admin'), (req, res) => {
+  const webhook = webhooks.find(w => w.id === req.params.id);
+  const grace = parseGraceSeconds(req.body);
+
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  if (grace === null) {
+    return res.status(400).json({ error: '"graceSeconds" must be a non-negative number' });
+  }
+
+  rotateWebhookSecret(webhook, grace);
+  saveWebhookConfig();
+
+  log.info(`🔐 Webhook secret rotated [${webhook.id}] (previous valid until ${webhook.previousSecretExpiresAt || 'now'})`);
+
+  res.json({
+    success: true,
+    secret: webhook.secret,
+    previousSecretExpiresAt: webhook.previousSecretExpiresAt
+  });
+});
+
+app.post('/api/webhooks/:id/test', requireScope('admin'), async (req, res) => {
+  const webhook = webhooks.find(w => w.id === req.params.id);
+
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  res.json(await testWebhook(webhook));
+});
+
+// Webhook delivery log endpoints
+app.get('/api/webhook/deliveries', requireScope('admin'), (req, res) => {
+  setNoCache(res);
+  const { status, webhookId } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+  let list = status === 'dead' ? webhookDeadLetters : webhookDeliveries;
+  if (status && status !== 'dead') {
+    list = list.filter(d => d.status === status);
+  }
+  if (webhookId) {
+    list = list.filter(d => d.webhookId === webhookId);
+  }
+
+  res.json({
+    total: list.length,
+    deliveries: list.slice(-limit).reverse().map(summarizeWebhookDelivery)
+  });
+});
+
+app.get('/api/webhook/dead-letters', requireScope('admin'), (req, res) => {
+  setNoCache(res);
+  res.json({
+    total: webhookDeadLetters.length,
+    deliveries: webhookDeadLetters.slice().reverse().map(summarizeWebhookDelivery)
+  });
+});
+
+app.get('/api/webhook/deliveries/:id', requireScope('admin'), (req, res) => {
+  setNoCache(res);
+  const delivery = webhookDeliveries.find(d => d.id === req.params.id) ||
+    webhookDeadLetters.find(d => d.id === req.params.id);
+
+  if (!delivery) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+
+  res.json({
+    ...summarizeWebhookDelivery(delivery),
+    attempts: delivery.attempts,
+    payload: delivery.payload
+  });
+});
+
+// Redeliver one event to its subscription's current URL
+app.post('/api/webhook/deliveries/:id/redeliver', requireScope('admin'), (req, res) => {
+  const original = webhookDeliveries.find(d => d.id === req.params.id) ||
+    webhookDeadLetters.find(d => d.id === req.params.id);
+
+  if (!original) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+
+  const webhook = webhooks.find(w => w.id === original.webhookId);
+  if (!webhook) {
+    return res.status(400).json({ error: `Webhook "${original.webhookId}" no longer exists` });
+  }
+
+  // A redelivered dead letter leaves the dead-letter list
+  removeWebhookDeadLetters(webhookDeadLetters.filter(d => d === original));
+  const delivery = enqueueWebhookDelivery(webhook, original.payload);
+  log.info(`🔁 Webhook redelivery queued: ${original.id} -> ${delivery.id}`);
+
+  res.status(202).json({ success: true, originalId: original.id, deliveryId: delivery.id });
+});
+
+// Replay every stored event created in a time range
+app.post('/api/webhook/replay', requireScope('admin'), (req, res) => {
+  const { from, to, webhookId } = req.body || {};
+  const fromMs = Date.parse(from);
+  const toMs = to ? Date.parse(to) : Date.now();
+
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+    return res.status(400).json({ error: '"from" (and optional "to") must be ISO timestamps' });
+  }
+
+  // Events of deleted subscriptions are skipped
+  const matches = webhookDeliveries.concat(webhookDeadLetters).filter((d) => {
+    const createdAt = Date.parse(d.createdAt);
+    return createdAt >= fromMs && createdAt <= toMs &&
+      d.status !== 'pending' && d.status !== 'delivering' &&
+      (!webhookId || d.webhookId === webhookId) &&
+      webhooks.some(w => w.id === d.webhookId);
+  });
+
+  removeWebhookDeadLetters(webhookDeadLetters.filter(d => matches.includes(d)));
+  const deliveryIds = matches
+    .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))
+    .map(d => enqueueWebhookDelivery(webhooks.find(w => w.id === d.webhookId), d.payload).id);
+  log.info(`🔁 Webhook replay queued ${deliveryIds.length} event(s) from ${from} to ${to || 'now'}`);
+
+  res.status(202).json({ success: true, replayed: deliveryIds.length, deliveryIds });
+});
+
+// API key management endpoints
+app.get('/api/keys', requireScope('admin'), (req, res) => {
+  res.json({
+    keys: apiKeys.map(publicApiKey),
+    availableScopes: API_KEY_SCOPES
+  });
+});
+
+app.post('/api/keys', requireScope('admin'), (req, res) => {
+  const { name, scopes } = req.body || {};
+
+  if (!name) {
+    return res.status(400).json({ error: 'Key name is required' });
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).json({ error: `At least one scope is required (${API_KEY_SCOPES.join(', ')})` });
+  }
+
+  const unknown = scopes.filter(s => !API_KEY_SCOPES.includes(s));
+  if (unknown.length) {
+    return res.status(400).json({ error: `Unknown scope(s): ${unknown.join(', ')}` });
+  }
+
+  const { key, record } = createApiKey(name, [...new Set(scopes)]);
+  log.info(`🔑 API key created: ${record.name} (${record.prefix}...) scopes=${record.scopes.join(',')}`);
+
+  res.status(201).json({
+    success: true,
+    key,
+    ...publicApiKey(record),
+    note: 'Store this key now - it cannot be shown again'
+  });
+});
+
+app.delete('/api/keys/:id', requireScope('admin'), (req, res) => {
+  const record = apiKeys.find(k => k.id === req.params.id);
+
+  if (!record) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    saveApiKeys();
+    log.info(`🔑 API key revoked: ${record.name} (${record.prefix}...)`);
+  }
+
+  res.json({ success: true, ...publicApiKey(record) });
+});
+
 // Force restart - clears session and reinitializes (fix for zombie state)
-app.post('/api/restart', async (req, res) => {
-  console.log('🔄 RESTART requested - clearing session...');
+app.post('/api/restart', requireScope('admin'), async (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  log.info('🔄 RESTART requested - clearing session...', { sessionId: session.id });
   
   try {
-    // Destroy client
-    if (client) {
-      await client.destroy().catch(() => {});
-    }
-    
-    // Clear session folder
-    const sessionPath = AUTH_PATH;
-    if (fs.existsSync(sessionPath)) {
-      fs.rmSync(sessionPath, { recursive: true, force: true });
-      console.log('🗑️  Session folder cleared:', sessionPath);
+    // Stop the client first so Chrome has flushed its files, then keep a
+    // snapshot of the old login in case the restart was a mistake
+    await destroySession(session);
+    let backup = null;
+    try {
+      backup = await snapshotSession(session, 'restart');
+    } catch (err) {
+      log.error('❌ Pre-restart snapshot failed - clearing anyway', { sessionId: session.id, error: err.message });
     }
+
+    // Clear this session's folder only - other sessions share AUTH_PATH
+    await destroySession(session, { clearAuth: true });
     
     // Reset state
-    isReady = false;
-    qrString = null;
+    session.reinitAttempts = 0;
+    writeStateFile();
     
     res.json({
       success: true,
+      sessionId: session.id,
+      backup,
       message: 'Session cleared. WhatsApp will restart and require QR code scan.',
       note: 'Please wait 10-20 seconds, then check /api/qr for new QR code'
     });
     
-    // Reinitialize after response
-    setTimeout(() => {
-      console.log('🚀 Reinitializing WhatsApp...');
-      initWhatsApp();
+    // Reinitialize after response. Kept as the session's pending reinit so
+    // a restore in the meantime cancels it instead of starting a second client
+    session.reinitTimer = setTimeout(() => {
+      session.reinitTimer = null;
+      log.info('🚀 Reinitializing WhatsApp...', { sessionId: session.id });
+      if (sessions.get(session.id) === session) {
+        initWhatsApp(session);
+      }
     }, 2000);
     
   } catch (error) {
-    console.error('❌ Restart error:', error);
+    log.error('❌ Restart error', { error: error.message });
     res.status(500).json({ error: error.message });
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🌐 Server running on port ${PORT}`);
-  initWhatsApp();
-});
+// Start server - configuration is loaded before the first request is served
+async function start() {
+  try {
+    await initConfigStore();
+  } catch (err) {
+    log.error('❌ Config store not available', { store: CONFIG_STORE, error: err.message });
+    process.exit(1);
+  }
+  initWebhookConfig();
+  initApiKeys();
+  loadOptOuts();
+  loadRules();
+
+  app.listen(PORT, () => {
+    log.info(`🌐 Server running on port ${PORT}`);
+    initMessageStore().catch((err) => {
+      messageStoreReady = false;
+      log.error('❌ Message history disabled - database setup failed', { error: err.message });
+    });
+    restoreSessions();
+
+    // Jobs name their session by id, so the workers only start once the
+    // sessions are registered - before that every job would look orphaned
+    setInterval(processOutbox, 2000);
+    setInterval(processCheckJobs, 1000);
+    setInterval(processCampaigns, 1000);
+    setInterval(processScheduled, 2000);
+  });
+}
+
+start();
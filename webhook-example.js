@@ -9,16 +9,81 @@
  * 2. Expose it publicly using ngrok: ngrok http 3000
  * 3. Configure the ngrok URL in your WhatsApp API dashboard
  * 4. Send a message to your WhatsApp number
+ *
+ * Signature verification:
+ * Set WEBHOOK_SECRET to the secret returned by POST /api/webhook (or
+ * /api/webhook/secret/rotate). Requests with a missing/invalid signature,
+ * a stale timestamp or a signature we've already seen are rejected.
  */
 
 const express = require('express');
+const crypto = require('crypto');
 const app = express();
 const PORT = 3000;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+const TOLERANCE_SECONDS = 5 * 60;
 
-app.use(express.json());
+// Signatures seen within the tolerance window - a repeat is a replay
+const seenSignatures = new Map();
+
+// Keep the raw body - the signature is computed over the exact bytes sent
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
+
+function verifySignature(req) {
+  const timestamp = req.get('X-Webhook-Timestamp');
+  const header = req.get('X-Webhook-Signature');
+  if (!timestamp || !header) {
+    return 'Missing signature headers';
+  }
+
+  // Reject old (or far-future) timestamps so captured requests can't be replayed later
+  const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  if (!Number.isFinite(age) || age > TOLERANCE_SECONDS) {
+    return 'Timestamp outside tolerance';
+  }
+
+  const expected = crypto
+    .createHmac('sha256', WEBHOOK_SECRET)
+    .update(`${timestamp}.${req.rawBody}`)
+    .digest();
+
+  // During secret rotation the header holds one "v1=" signature per secret
+  const valid = header.split(',').some((part) => {
+    const [version, value] = part.trim().split('=');
+    if (version !== 'v1' || !value) return false;
+    const given = Buffer.from(value, 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+  if (!valid) {
+    return 'Invalid signature';
+  }
+
+  const now = Date.now();
+  for (const [sig, expiresAt] of seenSignatures) {
+    if (expiresAt < now) seenSignatures.delete(sig);
+  }
+  if (seenSignatures.has(header)) {
+    return 'Replayed request';
+  }
+  seenSignatures.set(header, now + TOLERANCE_SECONDS * 1000);
+
+  return null;
+}
 
 // Webhook endpoint
 app.post('/webhook', (req, res) => {
+  if (WEBHOOK_SECRET) {
+    const error = verifySignature(req);
+    if (error) {
+      console.log(`🚫 Rejected webhook: ${error}`);
+      return res.status(401).json({ success: false, error });
+    }
+  }
+
   const message = req.body;
   
   console.log('\n📨 New Message Received!');
@@ -42,6 +107,7 @@ app.post('/webhook', (req, res) => {
   // Example: Auto-reply logic
   if (message.body.toLowerCase().includes('hello')) {
     console.log('💡 Tip: You could auto-reply here by calling /api/send');
+    console.log('   (simple keyword replies can also be set up with POST /api/rules - no webhook needed)');
   }
   
   // Always respond with success
@@ -75,6 +141,7 @@ app.listen(PORT, () => {
   console.log('🚀 Webhook server started!');
   console.log(`📡 Listening on http://localhost:${PORT}`);
   console.log(`🔗 Webhook endpoint: http://localhost:${PORT}/webhook`);
+  console.log(`🔐 Signature verification: ${WEBHOOK_SECRET ? 'ON' : 'OFF (set WEBHOOK_SECRET)'}`);
   console.log('\n💡 To expose this publicly, use ngrok:');
   console.log(`   ngrok http ${PORT}`);
   console.log('\nWaiting for incoming messages...\n');